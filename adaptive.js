@@ -0,0 +1,74 @@
+//
+// Javascript for the adaptive batch size merge queue strategy.
+//
+// Batching, builds and failure handling work exactly like the simple
+// strategy (see simple.js), but the batch size limit changes while the
+// simulation runs, in the style of TCP congestion control (additive
+// increase, multiplicative decrease):
+//
+// * Every merged batch grows the limit by a fixed amount.
+//
+// * Every failed long build shrinks the limit by a factor.
+//
+// The limit starts at the "maxBatchSize" setting and always stays within
+// the configured minimum and maximum. Batches close at the effective
+// limit, the whole part of the limit. Each change of the limit is
+// recorded in the "BatchSizeLimits" member list as {time, limit,
+// effective}.
+
+import { simpleStrategy } from './simple.js';
+
+// Helper: The whole number of PRs at which a batch closes
+function effectiveLimit(limit) {
+    return Math.max(1, Math.floor(limit));
+}
+
+// Helper: Clamp the limit to the bounds and record it if it changed
+function setBatchSizeLimit(sim, limit, currentTime) {
+    const settings = sim.settings;
+    const bounded = Math.min(settings.maxBatchLimit, Math.max(settings.minBatchSize, limit));
+    if (bounded === sim.state.batchSizeLimit) return;
+
+    sim.state.batchSizeLimit = bounded;
+    sim.result.BatchSizeLimits.push({
+        time: currentTime,
+        limit: bounded,
+        effective: effectiveLimit(bounded)
+    });
+}
+
+const adaptiveStrategy = {
+    ...simpleStrategy,
+    id: 'adaptive',
+    name: 'Adaptive batch size',
+    options: [
+        ...simpleStrategy.options,
+        { id: 'minBatchSize', label: 'Minimum batch size', default: 1 },
+        { id: 'maxBatchLimit', label: 'Maximum batch size limit', default: 20 },
+        { id: 'batchIncrease', label: 'Increase after merge', default: 1, step: 0.1 },
+        { id: 'batchDecrease', label: 'Decrease factor after failure', default: 0.5, step: 0.05 }
+    ],
+
+    onStart(sim) {
+        sim.result.BatchSizeLimits = [];
+        setBatchSizeLimit(sim, sim.settings.maxBatchSize, 0);
+    },
+
+    shouldCloseBatch(sim, currentTime) {
+        const limit = effectiveLimit(sim.state.batchSizeLimit);
+        return sim.state.currentBatch.prs.length >= limit || sim.isCurrentBatchReady();
+    },
+
+    onFullBuildDone(sim, batch, passed, currentTime) {
+        const limit = sim.state.batchSizeLimit;
+        if (passed) {
+            setBatchSizeLimit(sim, limit + sim.settings.batchIncrease, currentTime);
+        } else {
+            setBatchSizeLimit(sim, limit * sim.settings.batchDecrease, currentTime);
+        }
+
+        simpleStrategy.onFullBuildDone(sim, batch, passed, currentTime);
+    }
+};
+
+export { adaptiveStrategy };
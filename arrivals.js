@@ -0,0 +1,160 @@
+/**
+ * Arrival profiles for generated pull requests
+ * A profile turns the constant "PRs per hour" into a rate that changes
+ * over the week: an hourly curve, a weekend multiplier and bursts.
+ * Time 0 of a simulation is Monday 00:00.
+ */
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+/**
+ * Preset arrival profiles. The hourly curve holds a multiplier of the
+ * PRs per hour for each hour of the day (0 = midnight).
+ */
+export const arrivalPresets = [
+	{
+		id: 'constant',
+		name: 'Constant',
+		profile: {
+			hourly: Array(24).fill(1),
+			weekend: 1,
+			bursts: []
+		}
+	},
+	{
+		id: 'workday',
+		name: 'Workday (10am peak, quiet nights and weekends)',
+		profile: {
+			hourly: [0.1, 0.1, 0.1, 0.1, 0.1, 0.2, 0.4, 0.8, 1.5, 2.2, 2.6, 2.3,
+				1.6, 2.0, 2.2, 2.0, 1.7, 1.2, 0.8, 0.5, 0.4, 0.3, 0.2, 0.1],
+			weekend: 0.15,
+			bursts: []
+		}
+	},
+	{
+		id: 'global',
+		name: 'Distributed team (flatter curve)',
+		profile: {
+			hourly: [0.6, 0.5, 0.5, 0.6, 0.7, 0.8, 1.0, 1.1, 1.3, 1.4, 1.5, 1.4,
+				1.3, 1.4, 1.5, 1.4, 1.3, 1.2, 1.1, 1.0, 0.9, 0.8, 0.7, 0.6],
+			weekend: 0.4,
+			bursts: []
+		}
+	},
+	{
+		id: 'release',
+		name: 'Workday with a pre-release rush',
+		profile: {
+			hourly: [0.1, 0.1, 0.1, 0.1, 0.1, 0.2, 0.4, 0.8, 1.5, 2.2, 2.6, 2.3,
+				1.6, 2.0, 2.2, 2.0, 1.7, 1.2, 0.8, 0.5, 0.4, 0.3, 0.2, 0.1],
+			weekend: 0.15,
+			// Thursday 13:00 to 18:00 at three times the usual rate
+			bursts: [{ start: 3 * 24 + 13, duration: 5, multiplier: 3 }]
+		}
+	}
+];
+
+/**
+ * Checks an arrival profile and throws if it cannot produce arrivals
+ * @param {Object} profile - Arrival profile ({hourly, weekend, bursts})
+ */
+export function validateArrivalProfile(profile) {
+	if (!Array.isArray(profile.hourly) || profile.hourly.length !== 24) {
+		throw new Error('The hourly arrival curve needs 24 values');
+	}
+	if (profile.hourly.some(value => !(value >= 0))) {
+		throw new Error('The hourly arrival curve must not be negative');
+	}
+	const weekend = profile.weekend === undefined ? 1 : profile.weekend;
+	if (!(weekend >= 0)) {
+		throw new Error('The weekend multiplier must not be negative');
+	}
+	if (!profile.hourly.some(value => value > 0)) {
+		throw new Error('The hourly arrival curve needs at least one hour with arrivals');
+	}
+	for (const burst of profile.bursts || []) {
+		if (!(burst.start >= 0) || !(burst.duration > 0) || !(burst.multiplier >= 0)) {
+			throw new Error('A burst needs a start of at least 0, a positive duration and a multiplier of at least 0');
+		}
+	}
+}
+
+/**
+ * Creates the arrival time sampler for a profile: a non-homogeneous
+ * Poisson process whose rate is constant within each hour and between
+ * burst boundaries
+ * @param {Object} profile - Arrival profile ({hourly, weekend, bursts});
+ *     burst start and duration are in hours from time 0
+ * @param {number} prsPerHour - Base rate the multipliers apply to
+ * @returns {Function} Function (time, draw) returning the next arrival
+ *     time after "time" in seconds, where "draw" is an Exp(1) random draw
+ */
+export function createArrivalSampler(profile, prsPerHour) {
+	validateArrivalProfile(profile);
+
+	const weekend = profile.weekend === undefined ? 1 : profile.weekend;
+	const bursts = (profile.bursts || []).map(burst => ({
+		start: burst.start * HOUR,
+		end: (burst.start + burst.duration) * HOUR,
+		multiplier: burst.multiplier
+	}));
+
+	// Arrivals per second at a time, and when that rate may change next
+	function rateAt(time) {
+		const dayOfWeek = Math.floor((time % WEEK) / DAY); // 0 = Monday
+		const hour = Math.floor((time % DAY) / HOUR);
+		let rate = prsPerHour / HOUR * profile.hourly[hour];
+		if (dayOfWeek >= 5) {
+			rate *= weekend;
+		}
+		for (const burst of bursts) {
+			if (time >= burst.start && time < burst.end) {
+				rate *= burst.multiplier;
+			}
+		}
+		return rate;
+	}
+	function nextChange(time) {
+		let change = (Math.floor(time / HOUR) + 1) * HOUR;
+		for (const burst of bursts) {
+			if (burst.start > time && burst.start < change) change = burst.start;
+			if (burst.end > time && burst.end < change) change = burst.end;
+		}
+		return change;
+	}
+
+	// Walk the rate segments until the expected number of arrivals since
+	// "time" reaches the draw (inverting the cumulative rate)
+	return function nextArrival(time, draw) {
+		let remaining = draw;
+		let t = time;
+		while (true) {
+			const rate = rateAt(t);
+			const end = nextChange(t);
+			const expected = rate * (end - t);
+			if (rate > 0 && remaining <= expected) {
+				return t + remaining / rate;
+			}
+			remaining -= expected;
+			t = end;
+		}
+	};
+}
+
+/**
+ * Parses bursts written as "start,duration,multiplier" entries separated
+ * by semicolons, with start and duration in hours
+ * @param {string} text - Bursts text, e.g. "85,5,3; 109,2,2"
+ * @returns {Array} Bursts ({start, duration, multiplier})
+ */
+export function parseBursts(text) {
+	return text.split(';').map(part => part.trim()).filter(part => part !== '').map(part => {
+		const [start, duration, multiplier] = part.split(',').map(value => parseFloat(value));
+		if ([start, duration, multiplier].some(value => isNaN(value))) {
+			throw new Error(`A burst needs "start,duration,multiplier", got "${part}"`);
+		}
+		return { start: start, duration: duration, multiplier: multiplier };
+	});
+}
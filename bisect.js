@@ -0,0 +1,167 @@
+//
+// Javascript for the bisect merge queue strategy.
+//
+// Batching, fast builds and fast build failures work exactly like the
+// simple strategy (see simple.js). The difference is what happens when
+// a long build fails.
+//
+// Instead of ejecting the whole batch, the batch is split into halves
+// and each half gets its own long build. Failing halves are split again
+// until single culprit PR commits remain, and only those are ejected.
+// Halves that pass are innocent and go back into the queue. The queue
+// behind the failed batch is rebuilt right away, as in the simple
+// strategy.
+//
+// A semantic conflict (see engine.js) fails a batch without a culprit:
+// both halves can pass on their own. When the batch has conflicting PRs,
+// a passing second half therefore waits for the first half. If both
+// pass, the first half goes back into the queue and the second half is
+// bisected again on top of it, until the PR that conflicts with it is
+// found. A single PR that passes on top of the first half means the
+// failure did not come back (it was flaky), and it is requeued. Without
+// conflicts, passing halves go back into the queue right away.
+//
+// These isolation builds are recorded in the "Bisections" member list,
+// and each failed batch records when its last culprit was found in
+// "isolatedTime".
+
+import { simpleStrategy } from './simple.js';
+
+// Helper: Start a full build of a set of PRs on top of "base", the PRs
+// queued ahead of them. The halves of one split share the "split" record
+// so each can see how the other did.
+function isolate(sim, batch, prs, base, split, half, currentTime) {
+    const fullBuild = sim.fullBuildFor(prs, base);
+
+    batch.pendingBisections++;
+    sim.requestBuild("full", fullBuild.duration, {
+        type: "Bisection build completion",
+        batchId: batch.id,
+        batch: batch,
+        prIds: prs.map(pr => pr.id),
+        base: base,
+        split: split,
+        half: half,
+        passed: fullBuild.passes,
+        flakeRate: fullBuild.flakeRate,
+        conflict: fullBuild.conflictFailure
+    }, currentTime);
+}
+
+// Helper: Split a failing set of PRs in halves and start a full build
+// for each half. A single PR is built as it is.
+function bisect(sim, batch, prs, base, currentTime) {
+    if (prs.length === 1) {
+        isolate(sim, batch, prs, base, null, 0, currentTime);
+        return;
+    }
+
+    const middle = Math.ceil(prs.length / 2);
+    const split = {
+        halves: [prs.slice(0, middle), prs.slice(middle)],
+        base: base,
+        passed: [null, null], // Outcome of each half, null while building
+        conflicts: sim.hasConflicts(prs)
+    };
+    split.halves.forEach((half, i) => isolate(sim, batch, half, base, split, i, currentTime));
+}
+
+// Helper: Put PRs found innocent back into the queue
+function requeue(sim, prs, currentTime) {
+    sim.resetQueue(prs.filter(pr => !pr.evicted), currentTime);
+}
+
+const bisectStrategy = {
+    ...simpleStrategy,
+    id: 'bisect',
+    name: 'Bisect',
+
+    onStart(sim) {
+        sim.result.Bisections = []; // Isolation builds for failed batches
+    },
+
+    onFullBuildDone(sim, batch, passed, currentTime) {
+        if (passed) {
+            simpleStrategy.onFullBuildDone(sim, batch, passed, currentTime);
+            return;
+        }
+
+        // Failure - mark batch and bisect it to find the culprits, on top
+        // of the batches ahead of it
+        const base = sim.stackAhead(batch);
+        sim.failBatch(batch, currentTime);
+
+        // The PRs are out of the queue until bisection requeues or
+        // evicts them, so their fast builds no longer count
+        const prIds = new Set(batch.prs.map(pr => pr.id));
+        sim.cancelBuilds(e => e.type === "Fast build completion" && prIds.has(e.prId), currentTime);
+
+        if (batch.prs.length > 1) {
+            batch.pendingBisections = 0;
+            bisect(sim, batch, batch.prs, base, currentTime);
+        } else {
+            // A single PR is its own culprit
+            sim.evict(batch.prs[0], currentTime, "Isolated by bisection");
+        }
+
+        // Rebatch everything after this batch
+        sim.resetQueue(sim.prsAfter(batch), currentTime);
+    },
+
+    onEvent(sim, event, currentTime) {
+        if (event.type !== "Bisection build completion") return;
+
+        const batch = event.batch;
+        const prs = event.prIds.map(id => sim.state.prMap[id]);
+        const split = event.split;
+        batch.pendingBisections--;
+
+        const bisection = {
+            batchId: batch.id,
+            prIds: event.prIds,
+            startTime: event.startTime,
+            endTime: currentTime,
+            passed: event.passed
+        };
+        if (event.base.length > 0) {
+            bisection.baseIds = event.base.map(pr => pr.id);
+        }
+        sim.result.Bisections.push(bisection);
+
+        if (split) {
+            split.passed[event.half] = event.passed;
+        }
+        const sibling = split ? split.passed[1 - event.half] : null;
+
+        if (event.passed) {
+            if (!split || !split.conflicts || event.half === 0 || sibling === false) {
+                // Innocent PRs go back into the queue
+                requeue(sim, prs, currentTime);
+            }
+            // A passing second half waits for the first; when both pass,
+            // the second half conflicts with the first
+            if (split && split.conflicts && sibling === true) {
+                bisect(sim, batch, split.halves[1], [...split.base, ...split.halves[0]], currentTime);
+            }
+        } else {
+            if (prs.length === 1) {
+                // Found a culprit
+                if (!prs[0].evicted) {
+                    sim.evict(prs[0], currentTime, "Isolated by bisection");
+                }
+            } else {
+                bisect(sim, batch, prs, event.base, currentTime);
+            }
+            // A second half that passed was waiting for this result
+            if (split && split.conflicts && event.half === 0 && sibling === true) {
+                requeue(sim, split.halves[1], currentTime);
+            }
+        }
+
+        if (batch.pendingBisections === 0) {
+            batch.isolatedTime = currentTime;
+        }
+    }
+};
+
+export { bisectStrategy };
@@ -0,0 +1,478 @@
+//
+// Command-line runner for the merge queue simulator.
+//
+// Runs the same generator, strategies and statistics as the web page,
+// without a DOM, so scenarios can be run from scripts:
+//
+//   node cli.js --generate --seed 42 --strategy bisect --max-batch-size 8
+//   node cli.js --input scenario.json --format csv --output results.csv
+//   node cli.js --import history.csv --map fullBuildResult=conclusion
+//
+// The pull requests come from an input JSON file (a generated scenario
+// or a plain array of PRs), from a CSV or JSON export of queue history
+// or are generated from the generator flags.
+// A JSON config file can hold the generator config, the strategy and its
+// settings ({generator, strategy, settings}); flags override it. Run
+// with --help for all flags.
+//
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { generateScenario, scenarioPullRequests } from './generator.js';
+import { arrivalPresets } from './arrivals.js';
+import { buildTimeDistributions, parseDurations } from './distributions.js';
+import { importFields, parseRecords, guessMapping, importScenario } from './importer.js';
+import { validatePullRequests, resolveErrors, describeIssue } from './validator.js';
+import { listStrategies, simulateStrategy } from './strategies.js';
+import { statisticMetrics } from './statistics.js';
+
+// Generator flags, their config keys and the web page defaults
+const generatorFlags = [
+    { flag: 'num-prs', key: 'numPRs', default: 100 },
+    { flag: 'prs-per-hour', key: 'prsPerHour', default: 25 },
+    { flag: 'build-speed-fast', key: 'buildSpeedFast', default: 300 },
+    { flag: 'build-success-rate-fast', key: 'buildSuccessRateFast', default: 98 },
+    { flag: 'build-speed-variance-fast', key: 'buildSpeedVarianceFast', default: 100 },
+    { flag: 'flake-rate-fast', key: 'flakeRateFast', default: 0 },
+    { flag: 'build-speed-full', key: 'buildSpeedFull', default: 900 },
+    { flag: 'build-success-rate-full', key: 'buildSuccessRateFull', default: 90 },
+    { flag: 'build-speed-variance-full', key: 'buildSpeedVarianceFull', default: 300 },
+    { flag: 'flake-rate-full', key: 'flakeRateFull', default: 0 },
+    { flag: 'conflict-rate', key: 'conflictRate', default: 0 },
+    { flag: 'conflict-window', key: 'conflictWindow', default: 5 },
+    { flag: 'path-overlap-rate', key: 'pathOverlapRate', default: 0 },
+    { flag: 'overlap-window', key: 'overlapWindow', default: 5 },
+    { flag: 'hotfix-rate', key: 'hotfixRate', default: 0 },
+    { flag: 'components', key: 'components', default: 0 },
+    { flag: 'cross-component-rate', key: 'crossComponentRate', default: 0 },
+    { flag: 'seed', key: 'seed' }
+];
+
+// Queue setting flags and their settings keys
+const settingFlags = [
+    { flag: 'max-batch-size', key: 'maxBatchSize' },
+    { flag: 'retries', key: 'retries' },
+    { flag: 'speculation-depth', key: 'speculationDepth' }
+];
+
+const usage = `Usage: node cli.js [options]
+
+Input (one of):
+  --input FILE                 Read pull requests from a JSON file
+  --import FILE                Import queue history from a CSV or JSON export;
+                               records that cannot be used are reported on stderr
+  --map FIELD=COLUMN           Column for a history field (repeatable; guessed
+                               from the column names otherwise). Fields:
+                               ${importFields.map(field => field.id).join(', ')}
+  --fix-input                  Repair bad input records where possible and
+                               drop the rest, instead of stopping
+  --drop-invalid               Drop bad input records instead of stopping
+  --generate                   Generate pull requests from the flags below
+  --config FILE                JSON file with {generator, strategy, settings};
+                               generates if it has a generator and no --input
+
+Generator:
+${generatorFlags.map(g => `  --${g.flag} N`.padEnd(31) + (g.default === undefined ? '(random)' : `(default ${g.default})`)).join('\n')}
+  --arrival-profile ID         Arrival profile preset: ${arrivalPresets.map(preset => preset.id).join(', ')}
+                               (default constant; a config generator may
+                               hold its own arrivalProfile)
+  --build-time-fast DIST       Fast build time distribution: uniform[:VARIANCE],
+                               normal:STDDEV, lognormal:STDDEV or
+                               empirical:FILE (durations in seconds)
+  --build-time-full DIST       Full build time distribution, as above
+
+Queue:
+  --strategy ID                Strategy to run (default simple)
+  --max-batch-size N           Maximum batch size (default 5)
+  --retries N                  Retries on build failure (default 0)
+  --speculation-depth N        Batches with full builds in flight at once
+                               (default 0, unlimited)
+  --runners MODE               unlimited, separate or shared (default unlimited)
+  --fast-runners N             Fast runner pool size (default 10)
+  --full-runners N             Full runner pool size (default 4)
+  --shared-runners N           Shared runner pool size (default 12)
+  --batching MODE              When batches may close: ready, minimum or
+                               cadence (default ready)
+  --batch-min-size N           Minimum batch size (default 3)
+  --batch-timeout N            Seconds before a batch below the minimum size
+                               may close anyway (default 600)
+  --batch-cadence N            Seconds between batch closing times (default 900)
+  --batch-duration MODE        Full build duration of a batch: max, overhead,
+                               parallel or setup (default max)
+  --batch-overhead N           Seconds added per PR beyond the first (default 60)
+  --batch-parallelism N        Divisor of the summed PR builds (default 4)
+  --batch-setup N              Setup seconds paid once per build (default 300)
+  --option NAME=VALUE          Strategy option (repeatable)
+  --pr-staleness               Also measure staleness per merged PR
+  --fast-cost N                Fast runner cost per minute (default 0.008)
+  --full-cost N                Full runner cost per minute (default 0.016)
+
+Output:
+  --format json|csv            Full result as JSON, or statistics as one CSV
+                               line (default json)
+  --no-header                  Leave out the CSV header line
+  --output FILE                Write to a file instead of stdout
+  --list-strategies            List the strategy ids and options
+  --benchmark                  Report the simulation speed instead of the result
+  --help                       Show this help
+`;
+
+// Helper: Parse a flag value as a number
+function toNumber(flag, value) {
+    const number = Number(value);
+    if (value === '' || isNaN(number)) {
+        throw new Error(`--${flag} needs a number, got "${value}"`);
+    }
+    return number;
+}
+
+// Helper: Parse a build time distribution flag, "NAME[:VALUE]", into a
+// distribution for the generator. VALUE is the parameter of the
+// distribution; for empirical it is a file of observed durations.
+function toBuildTimeDistribution(flag, value) {
+    const [name, parameter] = value.split(/:(.*)/);
+    const definition = buildTimeDistributions.find(d => d.id === name);
+    if (!definition) {
+        throw new Error(`--${flag} needs one of ${buildTimeDistributions.map(d => d.id).join(', ')}, got "${name}"`);
+    }
+
+    const distribution = { distribution: name };
+    const { id, list } = definition.parameters[0];
+    if (parameter === undefined) {
+        if (name !== 'uniform') {
+            throw new Error(`--${flag} ${name} needs a value, e.g. ${name}:${list ? 'FILE' : '300'}`);
+        }
+    } else if (list) {
+        let text;
+        try {
+            text = readFileSync(parameter, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read ${parameter}: ${error.message}`);
+        }
+        distribution[id] = parseDurations(text);
+    } else {
+        distribution[id] = toNumber(flag, parameter);
+    }
+    return distribution;
+}
+
+// Helper: Read and parse a JSON file
+function readJSON(file) {
+    try {
+        return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+}
+
+function parseCommandLine(args) {
+    const options = {
+        'input': { type: 'string' },
+        'import': { type: 'string' },
+        'map': { type: 'string', multiple: true },
+        'fix-input': { type: 'boolean' },
+        'drop-invalid': { type: 'boolean' },
+        'generate': { type: 'boolean' },
+        'config': { type: 'string' },
+        'arrival-profile': { type: 'string' },
+        'build-time-fast': { type: 'string' },
+        'build-time-full': { type: 'string' },
+        'strategy': { type: 'string' },
+        'runners': { type: 'string' },
+        'fast-runners': { type: 'string' },
+        'full-runners': { type: 'string' },
+        'shared-runners': { type: 'string' },
+        'batching': { type: 'string' },
+        'batch-min-size': { type: 'string' },
+        'batch-timeout': { type: 'string' },
+        'batch-cadence': { type: 'string' },
+        'batch-duration': { type: 'string' },
+        'batch-overhead': { type: 'string' },
+        'batch-parallelism': { type: 'string' },
+        'batch-setup': { type: 'string' },
+        'option': { type: 'string', multiple: true },
+        'format': { type: 'string', default: 'json' },
+        'no-header': { type: 'boolean' },
+        'output': { type: 'string' },
+        'pr-staleness': { type: 'boolean' },
+        'fast-cost': { type: 'string' },
+        'full-cost': { type: 'string' },
+        'list-strategies': { type: 'boolean' },
+        'benchmark': { type: 'boolean' },
+        'help': { type: 'boolean' }
+    };
+    for (const { flag } of [...generatorFlags, ...settingFlags]) {
+        options[flag] = { type: 'string' };
+    }
+
+    return parseArgs({ args: args, options: options, strict: true }).values;
+}
+
+// Imports the pull requests from a history export, with the column
+// mapping guessed from the column names and overridden by --map
+function importHistory(file, maps) {
+    let text;
+    try {
+        text = readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+    const { records, columns } = parseRecords(text);
+
+    const mapping = guessMapping(columns);
+    for (const map of maps) {
+        const [field, column] = map.split(/=(.*)/);
+        if (column === undefined || !importFields.some(f => f.id === field)) {
+            throw new Error(`--map needs FIELD=COLUMN with a field of ${importFields.map(f => f.id).join(', ')}, got "${map}"`);
+        }
+        if (column === '') {
+            delete mapping[field];
+        } else if (!columns.includes(column)) {
+            throw new Error(`${file} has no column "${column}"`);
+        } else {
+            mapping[field] = column;
+        }
+    }
+
+    const { scenario, skipped } = importScenario(records, mapping);
+    for (const row of skipped) {
+        process.stderr.write(`warning: ${file} row ${row.row}${row.id === undefined ? '' : ` (${row.id})`}: ${row.reason}\n`);
+    }
+    return scenario.pullRequests;
+}
+
+// Validates the pull requests: warnings go to stderr, and bad records
+// stop the run unless --fix-input or --drop-invalid resolves them
+function checkPullRequests(pullRequests, flags) {
+    const validation = validatePullRequests(pullRequests);
+    for (const warning of validation.warnings) {
+        process.stderr.write(`warning: ${describeIssue(warning)}\n`);
+    }
+    if (validation.errors.length === 0) {
+        return pullRequests;
+    }
+
+    if (!flags['fix-input'] && !flags['drop-invalid']) {
+        const shown = validation.errors.slice(0, 10).map(error => `  ${describeIssue(error)}`);
+        if (validation.errors.length > 10) {
+            shown.push(`  ... and ${validation.errors.length - 10} more`);
+        }
+        throw new Error(`The input has ${validation.errors.length} errors (use --fix-input or --drop-invalid):\n${shown.join('\n')}`);
+    }
+    const resolved = resolveErrors(pullRequests, validation, Boolean(flags['fix-input']));
+    process.stderr.write(`warning: fixed ${resolved.fixed} and dropped ${resolved.dropped} bad input records\n`);
+    return resolved.pullRequests;
+}
+
+// Combines the config file and the flags into the run to do:
+// {generator, pullRequests, strategy, settings}
+function buildRun(flags) {
+    const config = flags.config ? readJSON(flags.config) : {};
+
+    // Pull requests
+    let generator = null;
+    let pullRequests = null;
+    if (flags.input) {
+        const data = readJSON(flags.input);
+        pullRequests = scenarioPullRequests(data);
+        if (!pullRequests) {
+            throw new Error(`${flags.input} holds neither a scenario nor an array of pull requests`);
+        }
+        generator = data.generator || null;
+    } else if (flags.import) {
+        pullRequests = importHistory(flags.import, flags.map || []);
+    } else if (flags.generate || config.generator) {
+        const generatorConfig = {};
+        for (const g of generatorFlags) {
+            if (flags[g.flag] !== undefined) {
+                generatorConfig[g.key] = toNumber(g.flag, flags[g.flag]);
+            } else if (config.generator && config.generator[g.key] !== undefined) {
+                generatorConfig[g.key] = config.generator[g.key];
+            } else if (g.default !== undefined) {
+                generatorConfig[g.key] = g.default;
+            }
+        }
+        if (flags['arrival-profile'] !== undefined) {
+            const preset = arrivalPresets.find(p => p.id === flags['arrival-profile']);
+            if (!preset) {
+                throw new Error(`Unknown arrival profile "${flags['arrival-profile']}"`);
+            }
+            generatorConfig.arrivalProfile = preset.profile;
+        } else if (config.generator && config.generator.arrivalProfile) {
+            generatorConfig.arrivalProfile = config.generator.arrivalProfile;
+        }
+        for (const type of ['Fast', 'Full']) {
+            const flag = `build-time-${type.toLowerCase()}`;
+            const key = `buildTime${type}`;
+            if (flags[flag] !== undefined) {
+                generatorConfig[key] = toBuildTimeDistribution(flag, flags[flag]);
+                // Plain "uniform" keeps the variance flag
+                if (generatorConfig[key].variance === undefined && generatorConfig[key].distribution === 'uniform') {
+                    generatorConfig[key].variance = generatorConfig[`buildSpeedVariance${type}`];
+                }
+            } else if (config.generator && config.generator[key]) {
+                generatorConfig[key] = config.generator[key];
+            }
+        }
+        ({ generator, pullRequests } = generateScenario(generatorConfig));
+    } else {
+        throw new Error('No pull requests: use --input FILE, --import FILE, --generate or a --config with a generator');
+    }
+    pullRequests = checkPullRequests(pullRequests, flags);
+
+    // Strategy and settings
+    const settings = {
+        maxBatchSize: 5,
+        retries: 0,
+        ...config.settings,
+        runners: {
+            mode: 'unlimited',
+            fast: 10,
+            full: 4,
+            shared: 12,
+            ...(config.settings && config.settings.runners)
+        },
+        batching: {
+            mode: 'ready',
+            minSize: 3,
+            timeout: 600,
+            cadence: 900,
+            ...(config.settings && config.settings.batching)
+        },
+        batchDuration: {
+            mode: 'max',
+            overhead: 60,
+            parallelism: 4,
+            setup: 300,
+            ...(config.settings && config.settings.batchDuration)
+        },
+        costs: {
+            fast: 0.008,
+            full: 0.016,
+            ...(config.settings && config.settings.costs)
+        }
+    };
+    for (const s of settingFlags) {
+        if (flags[s.flag] !== undefined) {
+            settings[s.key] = toNumber(s.flag, flags[s.flag]);
+        }
+    }
+    if (flags.runners !== undefined) {
+        settings.runners.mode = flags.runners;
+    }
+    for (const pool of ['fast', 'full', 'shared']) {
+        const flag = `${pool}-runners`;
+        if (flags[flag] !== undefined) {
+            settings.runners[pool] = toNumber(flag, flags[flag]);
+        }
+    }
+    if (flags.batching !== undefined) {
+        settings.batching.mode = flags.batching;
+    }
+    for (const [flag, key] of [['batch-min-size', 'minSize'], ['batch-timeout', 'timeout'], ['batch-cadence', 'cadence']]) {
+        if (flags[flag] !== undefined) {
+            settings.batching[key] = toNumber(flag, flags[flag]);
+        }
+    }
+    if (flags['batch-duration'] !== undefined) {
+        settings.batchDuration.mode = flags['batch-duration'];
+    }
+    for (const [flag, key] of [['batch-overhead', 'overhead'], ['batch-parallelism', 'parallelism'], ['batch-setup', 'setup']]) {
+        if (flags[flag] !== undefined) {
+            settings.batchDuration[key] = toNumber(flag, flags[flag]);
+        }
+    }
+    for (const type of ['fast', 'full']) {
+        const flag = `${type}-cost`;
+        if (flags[flag] !== undefined) {
+            settings.costs[type] = toNumber(flag, flags[flag]);
+        }
+    }
+    if (flags['pr-staleness']) {
+        settings.prStaleness = true;
+    }
+    for (const option of flags.option || []) {
+        const [name, value] = option.split('=');
+        if (value === undefined) {
+            throw new Error(`--option needs NAME=VALUE, got "${option}"`);
+        }
+        settings[name] = toNumber('option', value);
+    }
+
+    // Flaky build rolls follow the scenario's seed
+    if (settings.seed === undefined) {
+        settings.seed = generator ? generator.seed : 0;
+    }
+
+    return {
+        generator: generator,
+        pullRequests: pullRequests,
+        strategy: flags.strategy || config.strategy || 'simple',
+        settings: settings
+    };
+}
+
+// The statistics as CSV: the strategy, batch size and seed, then one
+// column per statistic (times in seconds; empty for optional statistics
+// that are off)
+function statisticsToCSV(run, statistics, header) {
+    const columns = ['strategy', 'maxBatchSize', 'seed', ...statisticMetrics.map(metric => metric.key)];
+    const values = [run.strategy, run.settings.maxBatchSize, run.settings.seed,
+        ...statisticMetrics.map(metric => statistics[metric.key] === undefined ? '' : statistics[metric.key])];
+
+    const lines = header ? [columns.join(','), values.join(',')] : [values.join(',')];
+    return lines.join('\n') + '\n';
+}
+
+function main(args) {
+    const flags = parseCommandLine(args);
+
+    if (flags.help) {
+        process.stdout.write(usage);
+        return;
+    }
+    if (flags['list-strategies']) {
+        for (const strategy of listStrategies()) {
+            const options = (strategy.options || []).map(option => `${option.id}=${option.default}`);
+            process.stdout.write(`${strategy.id}\t${strategy.name}${options.length ? `\t${options.join(' ')}` : ''}\n`);
+        }
+        return;
+    }
+    if (flags.format !== 'json' && flags.format !== 'csv') {
+        throw new Error(`--format must be json or csv, got "${flags.format}"`);
+    }
+
+    const run = buildRun(flags);
+    const start = performance.now();
+    const result = simulateStrategy(run.strategy, run.pullRequests, run.settings);
+    const seconds = (performance.now() - start) / 1000;
+
+    if (flags.benchmark) {
+        process.stdout.write(
+            `${run.pullRequests.length} PRs, ${result.eventsProcessed} events in ${seconds.toFixed(2)}s ` +
+            `(${Math.round(result.eventsProcessed / seconds)} events/s, statistics included)\n`);
+        return;
+    }
+
+    const output = flags.format === 'csv'
+        ? statisticsToCSV(run, result.statistics, !flags['no-header'])
+        : JSON.stringify({
+            generator: run.generator,
+            strategy: run.strategy,
+            settings: run.settings,
+            ...result
+        }, null, 2) + '\n';
+
+    if (flags.output) {
+        writeFileSync(flags.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    process.stderr.write(`error: ${error.message}\n`);
+    process.exitCode = 1;
+}
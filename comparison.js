@@ -0,0 +1,72 @@
+//
+// Javascript for comparing merge queue configurations.
+//
+// A configuration is a strategy with its batch size and strategy
+// options. Every configuration runs against its own copy of the same
+// pull requests (the engine marks PRs as it goes), with the runner,
+// retry and seed settings shared. The statistics of the runs are then
+// lined up metric by metric, with the best value of each metric and the
+// difference to a baseline run.
+//
+
+import { getStrategy, simulateStrategy } from './strategies.js';
+import { statisticMetrics } from './statistics.js';
+
+// A short name for a configuration: the strategy, the batch size and
+// the options that differ from the strategy's defaults
+function configurationLabel(config) {
+    const strategy = getStrategy(config.strategyId);
+    const changed = (strategy.options || [])
+        .filter(option => config.options[option.id] !== undefined &&
+            config.options[option.id] !== option.default)
+        .map(option => `${option.label} ${config.options[option.id]}`);
+
+    let label = `${strategy.name}, batch ${config.maxBatchSize}`;
+    if (changed.length > 0) {
+        label += ` (${changed.join(', ')})`;
+    }
+    return label;
+}
+
+// Runs every configuration ({strategyId, maxBatchSize, options}) on a
+// fresh copy of the pull requests. The settings are shared by all runs.
+// Returns one {config, label, result} entry per configuration.
+function runComparison(pullRequests, configurations, settings) {
+    return configurations.map(config => {
+        const prs = pullRequests.map(pr => ({ ...pr }));
+        const result = simulateStrategy(config.strategyId, prs, {
+            ...settings,
+            ...config.options,
+            maxBatchSize: config.maxBatchSize
+        });
+        return { config: config, label: configurationLabel(config), result: result };
+    });
+}
+
+// Lines up the statistics of the runs, one row per statistic metric
+// that every run has.
+// Each row holds the run values, which runs have the best value (none
+// if all runs are equal) and each run's difference to the baseline run
+// (null for the baseline itself).
+function compareStatistics(statisticsList, baselineIndex = 0) {
+    const metrics = statisticMetrics.filter(metric =>
+        statisticsList.every(stats => stats[metric.key] !== undefined));
+    return metrics.map(metric => {
+        const values = statisticsList.map(stats => stats[metric.key]);
+        const baseline = values[baselineIndex];
+
+        let bestValue = null;
+        if (metric.better && new Set(values).size > 1) {
+            bestValue = metric.better === 'higher' ? Math.max(...values) : Math.min(...values);
+        }
+
+        return {
+            metric: metric,
+            values: values,
+            best: values.map(value => value === bestValue),
+            deltas: values.map((value, i) => i === baselineIndex ? null : value - baseline)
+        };
+    });
+}
+
+export { configurationLabel, runComparison, compareStatistics };
@@ -0,0 +1,123 @@
+/**
+ * Build time distributions for generated pull requests
+ * A distribution turns the average build speed into the build time of
+ * one PR. Uniform is the simple "speed plus or minus variance"; normal
+ * and lognormal have tails, and lognormal is skewed to long builds like
+ * real CI durations; empirical draws from a list of observed durations.
+ */
+
+/**
+ * The build time distributions. Each parameter default is a fraction
+ * ("ratio") of the build speed, so fast and full builds get sensible
+ * defaults; list parameters hold durations and have no default.
+ */
+export const buildTimeDistributions = [
+	{
+		id: 'uniform',
+		name: 'Uniform',
+		parameters: [{ id: 'variance', label: 'Variance', ratio: 1 / 3 }]
+	},
+	{
+		id: 'normal',
+		name: 'Normal',
+		parameters: [{ id: 'stdDev', label: 'Std Dev', ratio: 1 / 3 }]
+	},
+	{
+		id: 'lognormal',
+		name: 'Lognormal (long tail)',
+		parameters: [{ id: 'stdDev', label: 'Std Dev', ratio: 1 / 2 }]
+	},
+	{
+		id: 'empirical',
+		name: 'Empirical (observed durations)',
+		parameters: [{ id: 'samples', label: 'Observed Durations', list: true }]
+	}
+];
+
+/**
+ * Checks a build time distribution and throws if it cannot produce
+ * build times
+ * @param {Object} distribution - Distribution ({distribution, ...parameters})
+ */
+export function validateBuildTimeDistribution(distribution) {
+	const definition = buildTimeDistributions.find(d => d.id === distribution.distribution);
+	if (!definition) {
+		throw new Error(`Unknown build time distribution "${distribution.distribution}"`);
+	}
+	for (const parameter of definition.parameters) {
+		const value = distribution[parameter.id];
+		if (parameter.list) {
+			if (!Array.isArray(value) || value.length === 0) {
+				throw new Error(`The ${definition.name} build time distribution needs at least one duration`);
+			}
+			if (value.some(duration => !(duration > 0))) {
+				throw new Error('Observed build durations must be greater than zero');
+			}
+		} else if (!(value >= 0)) {
+			throw new Error(`${parameter.label} of the ${definition.name} build time distribution must not be negative`);
+		}
+	}
+}
+
+/**
+ * Creates the build time sampler for a distribution
+ * @param {Object} distribution - Distribution ({distribution, ...parameters}),
+ *     e.g. {distribution: 'lognormal', stdDev: 450}
+ * @param {number} buildSpeed - Average build time in seconds (not used by
+ *     the empirical distribution)
+ * @param {Function} random - Random number generator (see random.js)
+ * @returns {Function} Function returning the next build time in whole
+ *     seconds, at least 1
+ */
+export function createBuildTimeSampler(distribution, buildSpeed, random) {
+	validateBuildTimeDistribution(distribution);
+
+	// A standard normal draw (Box-Muller)
+	function normal() {
+		const radius = Math.sqrt(-2 * Math.log(1 - random()));
+		return radius * Math.cos(2 * Math.PI * random());
+	}
+
+	let draw;
+	switch (distribution.distribution) {
+		case 'uniform':
+			draw = () => buildSpeed + (random() - 0.5) * 2 * distribution.variance;
+			break;
+		case 'normal':
+			draw = () => buildSpeed + normal() * distribution.stdDev;
+			break;
+		case 'lognormal': {
+			// The mean and standard deviation are those of the build times,
+			// not of their logarithm
+			const sigma = buildSpeed > 0
+				? Math.sqrt(Math.log(1 + (distribution.stdDev / buildSpeed) ** 2))
+				: 0;
+			const mu = Math.log(Math.max(buildSpeed, 1)) - sigma * sigma / 2;
+			draw = () => Math.exp(mu + sigma * normal());
+			break;
+		}
+		case 'empirical': {
+			const samples = distribution.samples;
+			draw = () => samples[Math.floor(random() * samples.length)];
+			break;
+		}
+	}
+
+	return () => Math.max(1, Math.round(draw()));
+}
+
+/**
+ * Parses a list of observed durations in seconds, separated by commas,
+ * semicolons or whitespace
+ * @param {string} text - Durations text, e.g. "280, 310, 295, 1200"
+ * @returns {Array} Durations in seconds
+ */
+export function parseDurations(text) {
+	return text.split(/[\s,;]+/).filter(part => part !== '').map(part => {
+		const duration = parseFloat(part);
+		if (isNaN(duration)) {
+			throw new Error(`Not a build duration: "${part}"`);
+		}
+		return duration;
+	});
+}
@@ -0,0 +1,1234 @@
+//
+// Javascript for the shared merge queue simulation engine.
+//
+// The engine owns everything that every merge queue strategy needs: the
+// event queue, the simulation state (current batch, active batches,
+// requeue tracking), the build runner pools and the result lists. A
+// strategy is a plain object with hooks that the engine calls as the
+// simulation advances. The strategy decides what the events mean; the
+// engine provides the helpers to act on that decision.
+//
+// Strategy hooks (all receive the engine context "sim" first):
+//
+// * onStart(sim): Optional. Called before the first event, e.g. to add
+//   strategy-specific lists to sim.result.
+//
+// * onPRQueued(sim, pr, time): A PR commit entered the queue.
+//
+// * shouldCloseBatch(sim, time): Whether the current batch should close
+//   and start its full build. Consulted by sim.maybeCloseBatch(), which
+//   the engine calls after each PR is added to the current batch.
+//
+// * onFastBuildDone(sim, pr, passed, time): A PR's fast build finished.
+//
+// * onFullBuildDone(sim, batch, passed, time): A batch's full build
+//   finished. Canceled batches never reach this hook.
+//
+// * onEvent(sim, event, time): Optional. Any event type the engine does
+//   not know about, for strategies that schedule their own events.
+//
+// * onEnd(sim, time): Optional. Called after the last event, e.g. to
+//   record batches the strategy keeps open itself as incomplete.
+//
+// Strategies that keep more than one open batch (see partitioned.js) pass
+// their own open batch ({prs, prEntries, fastBuildStatus}, like
+// sim.state.currentBatch) to sim.addToBatch() and sim.openBatch() instead
+// of using the current batch. They keep their open batches in the Map
+// sim.state.openBatches, so merge conflicts are checked against all of
+// them.
+//
+// Events are kept in a binary heap (see eventqueue.js). Canceling a
+// build marks its completion event instead of removing it, and only the
+// builds that hold a runner are searched, so large simulations stay fast.
+// Active batches are indexed by batch id and by PR id; use
+// sim.findActiveBatch() and sim.activeBatchOf() to look them up.
+//
+// A strategy also has an "id" and a "name" for the strategy registry
+// (see strategies.js), and an optional "options" list describing extra
+// settings the UI should show for it.
+//
+// The simulation outputs an object with the following member lists:
+//
+// * batches: Every batch (merged, failed, canceled, incomplete). A batch
+//            that started its full build records the duration computed
+//            for it in "fullBuildTime" (see "Batch duration" below).
+// * Commits: The list of commits that were created, {prId, time}, in the
+//            order the PRs entered the queue.
+// * Builds: Every build attempt (short and long) with its request, start
+//           and end times, its status ("passed", "failed" or
+//           "canceled") and the work done in "duration". Builds canceled
+//           while waiting for a runner did no work. A passed fast build
+//           whose PR was later rebatched and built again is marked
+//           "discarded".
+// * Evictions: The list of commits or batches that were evicted from the
+//              queue.
+// * eventsProcessed: The number of events the simulation handled.
+//
+// Build capacity: By default there is nothing in this schedule that
+// accounts for build capacity. If we rebuild the merge queue, then all
+// builds start at the exact same time, allowing us to flush the queue a
+// lot faster than reality would allow. The "runners" setting limits the
+// number of builds that run at once, either with separate pools for
+// short and long builds or with one shared pool. A build that cannot get
+// a runner waits in a first-come, first-served runner queue, and
+// canceling a build frees its runner (or drops it from the runner
+// queue). The wait for each build is recorded in "RunnerWaits" and the
+// busy runners over time in "RunnerUtilization".
+//
+// Speculation depth: Every closed batch is normally built at once, on
+// top of all batches ahead of it, so a burst builds a deep speculative
+// stack and a failure deep in it throws all of that work away. The
+// "speculationDepth" setting caps the batches whose full builds are in
+// flight in each speculative stack (0 or unset: no cap). Batches that
+// record "partitions" count in the stack of each of their partitions;
+// all other batches share one stack. A batch closed beyond the cap is
+// "pending": it holds its place among the active batches, but its full
+// build starts (on top of the batches ahead of it at that time) only
+// once a slot frees up in its stacks, in queue order. Strategies start
+// their full builds through sim.startWhenSlotFree(). Batches that waited
+// are marked "waitedForSlot", and record "slotStartTime" and
+// "slotWaitTime" once they got a slot.
+//
+// Batching policy: By default a batch may close as soon as all of its
+// fast builds passed, so at low traffic most batches hold a single PR and
+// each pays for a full build. The "batching" setting holds it back:
+// with mode "minimum" a batch is ready only once it has "minSize" PRs,
+// or once "timeout" seconds passed since its first PR joined; with mode
+// "cadence" it is ready only after the next multiple of "cadence"
+// seconds (a fixed "close every N" schedule). A full batch still closes
+// at once, and so does a hotfix batch that jumps the queue. The policy
+// is checked in sim.isCurrentBatchReady(), so it applies to every open
+// batch. Each open batch has one "Batch timer" event, scheduled when its
+// first PR joins and canceled when it closes or is reset. The timer of
+// the current batch closes it; timers of other open batches go to the
+// strategy's onEvent hook.
+//
+// Batch duration: How long the full build of several PRs takes. The
+// "batchDuration" setting picks the model, by "mode":
+//
+// * "max" (default): the longest full build among the PRs, so batching
+//   is free in build duration.
+// * "overhead": the longest full build plus "overhead" seconds for each
+//   PR beyond the first.
+// * "parallel": the sum of the PRs' full builds divided by
+//   "parallelism" (rounded to whole seconds), but never less than the
+//   longest.
+// * "setup": a fixed "setup" cost paid once: the longest full build,
+//   plus the work beyond "setup" seconds of each other PR.
+//
+// A single PR always takes its own "FullBuildTime". The model applies to
+// every full build, since all of them come from sim.fullBuildFor().
+//
+// Flaky builds: A PR can carry a flake rate for each build type. Every
+// build attempt that would genuinely pass fails anyway with that
+// probability (a full build uses the highest rate among its PRs). With
+// the "retries" setting, the engine reruns a failed build up to that
+// many times before the strategy hears about the failure. Completed
+// reruns are recorded in "Retries", and evictions caused by a flaky
+// failure that exhausted its retries are marked "flaky". The flake rolls
+// come from their own stream of the "seed" setting, independent of the
+// draws the generator made with it.
+//
+// Semantic conflicts: A PR can list the PRs it conflicts with in
+// "ConflictsWith" (their indexes in the input). Each PR of a conflicting
+// pair passes on its own, but a full build fails when both are in it:
+// in the batch itself or anywhere in the speculative stack it is built
+// on (the active batches ahead of it). Once one of them merged, builds
+// of the other one pass again. Builds that fail only because of a
+// conflict are marked "conflict", and so are the evictions they cause;
+// batches record their conflicting pairs in "conflicts".
+//
+// Merge conflicts: A PR can list the paths (or components) it touches in
+// "TouchedPaths". A PR that touches a path of a PR already in the queue
+// (an open batch or an active batch) cannot be merged on top of it.
+// It is rejected when it is added to the batch, before its fast build,
+// and evicted with the reason "Merge conflict". Its entry stays in the
+// batch's "prEntries" marked "rejected", so it can still be drawn.
+//
+// Priorities: A PR with "Priority" "high" is a hotfix. Strategies may
+// let it jump the queue with sim.jumpQueue(): it gets a batch of its own
+// at the front of the speculative stack, behind earlier hotfix batches
+// only, and every normal PR queued is restacked behind it. Jumps are
+// recorded in "QueueJumps" with the restacked PRs and the progress they
+// lost ("delay", the time since each had joined its batch, summed).
+// Strategies with open batches of their own restack those themselves and
+// record the jump with sim.recordQueueJump().
+
+import { calculateStatistics } from './statistics.js';
+import { createRandom, streamSeed } from './random.js';
+import { createEventQueue } from './eventqueue.js';
+
+function simulate(pullRequests, strategy, settings)
+{
+    const runners = settings.runners || { mode: 'unlimited' };
+    const retries = settings.retries || 0;
+    const speculationDepth = settings.speculationDepth > 0 ? settings.speculationDepth : Infinity;
+    const batching = settings.batching || { mode: 'ready' };
+    const batchDuration = settings.batchDuration || { mode: 'max' };
+    if (batchDuration.mode === 'parallel' && !(batchDuration.parallelism > 0)) {
+        throw new Error('The build parallelism must be greater than zero');
+    }
+    if (batching.mode === 'minimum' && !(batching.timeout >= 0)) {
+        throw new Error('The batch timeout must not be negative');
+    }
+    if (batching.mode === 'cadence' && !(batching.cadence > 0)) {
+        throw new Error('The batching cadence must be greater than zero');
+    }
+    const random = createRandom(streamSeed(settings.seed || 0, 'flakes'));
+
+    // Add IDs to pull requests
+    for (let i = 0; i < pullRequests.length; i++) {
+        pullRequests[i].id = i;
+    }
+
+    // Priority queue of events (see eventqueue.js)
+    const eventQueue = createEventQueue();
+
+    // Initialize with PR commit events
+    for (const pr of pullRequests) {
+        eventQueue.insert(pr.queuetime, {
+            time: pr.queuetime,
+            type: "PR commit",
+            prId: pr.id
+        });
+    }
+
+    // Simulation state
+    let nextBatchId = 0;
+    const state = {
+        currentBatch: {
+            prs: [],
+            prEntries: [], // {pr, queueTime, isRequeued}
+            fastBuildStatus: {} // prId -> {completed, passed}
+        },
+        activeBatches: [], // Batches with full builds running, in queue order
+        prMap: {}, // id -> pr object
+        prAppearances: {} // prId -> count (to detect requeues)
+    };
+
+    // Initialize PR map and appearance tracking
+    for (const pr of pullRequests) {
+        state.prMap[pr.id] = pr;
+        state.prAppearances[pr.id] = 0;
+    }
+
+    // Indexes of the active batches by batch id and by PR id, and the
+    // completion events of the builds that hold a runner
+    const activeBatchById = new Map();
+    const activeBatchByPR = new Map();
+    const runningBuilds = new Set();
+
+    // Last passed fast build of each PR, discarded if the PR is rebatched
+    const passedFastBuilds = new Map();
+
+    // When each PR last joined a batch
+    const batchedAt = new Map();
+
+    // Speculation slots per speculative stack (see stacksOf): the batches
+    // whose full builds are in flight, and the pending batches waiting for
+    // a slot in queue order ({batch, start, order}). Batches that stopped
+    // building, started or left the queue are dropped lazily, so each
+    // check only looks at the batches in flight and the first waiting one.
+    const slotStacks = new Map(); // stack -> {inFlight, waiting, head}
+    let slotRequests = 0;
+
+    // Semantic conflicts, both ways (prId -> prIds), and the merged PRs
+    // they are checked against
+    const conflictsOf = new Map();
+    for (const pr of pullRequests) {
+        for (const otherId of pr.ConflictsWith || []) {
+            for (const [a, b] of [[pr.id, otherId], [otherId, pr.id]]) {
+                if (!conflictsOf.has(a)) conflictsOf.set(a, new Set());
+                conflictsOf.get(a).add(b);
+            }
+        }
+    }
+
+    // Result tracking
+    const result = {
+        batches: [], // All batches (successful, failed, canceled)
+        pullRequests: [], // For backwards compatibility - successful batches only
+        Commits: [],
+        Builds: [],
+        Evictions: [],
+        RunnerPools: {}, // pool name -> capacity (null when unlimited)
+        RunnerWaits: [], // {type, pool, requestTime, startTime, waitTime}
+        RunnerUtilization: [], // {time, pool, busy, waiting}
+        Retries: [], // {type, attempt, startTime, endTime, passed}
+        QueueJumps: [] // {prId, time, restackedPrIds, delay}
+    };
+
+    // Build runner pools
+    const runnerPools = {};
+    function createRunnerPool(name, capacity) {
+        const limit = capacity > 0 ? capacity : Infinity;
+        runnerPools[name] = {
+            name: name,
+            capacity: limit,
+            busy: 0,
+            waiting: [], // {type, duration, event, requestTime}
+            lastSample: null // Last entry in RunnerUtilization
+        };
+        result.RunnerPools[name] = limit === Infinity ? null : limit;
+    }
+
+    if (runners.mode === 'shared') {
+        createRunnerPool('shared', runners.shared);
+    } else if (runners.mode === 'separate') {
+        createRunnerPool('fast', runners.fast);
+        createRunnerPool('full', runners.full);
+    } else {
+        createRunnerPool('fast', Infinity);
+        createRunnerPool('full', Infinity);
+    }
+
+    // Helper: Record the busy and waiting counts of a runner pool
+    function recordUtilization(pool, currentTime) {
+        const last = pool.lastSample;
+        if (last && last.busy === pool.busy && last.waiting === pool.waiting.length) {
+            return;
+        }
+        if (last && last.time === currentTime) {
+            last.busy = pool.busy;
+            last.waiting = pool.waiting.length;
+            return;
+        }
+        pool.lastSample = {
+            time: currentTime,
+            pool: pool.name,
+            busy: pool.busy,
+            waiting: pool.waiting.length
+        };
+        result.RunnerUtilization.push(pool.lastSample);
+    }
+
+    // Helper: Start waiting builds while the pool has free runners
+    function dispatchBuilds(pool, currentTime) {
+        while (pool.waiting.length > 0 && pool.busy < pool.capacity) {
+            const build = pool.waiting.shift();
+            pool.busy++;
+
+            const event = build.event;
+            event.time = currentTime + build.duration;
+            event.startTime = currentTime;
+            event.pool = pool.name;
+            eventQueue.insert(event.time, event);
+            runningBuilds.add(event);
+
+            result.RunnerWaits.push({
+                type: build.type,
+                pool: pool.name,
+                requestTime: build.requestTime,
+                startTime: currentTime,
+                waitTime: currentTime - build.requestTime
+            });
+
+            if (event.onStart) {
+                event.onStart(currentTime, currentTime - build.requestTime, event.attempt || 0);
+            }
+        }
+        recordUtilization(pool, currentTime);
+    }
+
+    // Helper: Ask for a runner for a build ("fast" or "full"). The
+    // completion event is scheduled once the build gets a runner, and
+    // onStart(startTime, waitTime, attempt) is called then, for the first
+    // attempt and for every rerun.
+    function requestBuild(type, duration, event, currentTime, onStart) {
+        const pool = runnerPools[runners.mode === 'shared' ? 'shared' : type];
+        event.buildType = type;
+        event.requestTime = currentTime;
+        event.startTime = null;
+        event.onStart = onStart;
+        pool.waiting.push({
+            type: type,
+            duration: duration,
+            event: event,
+            requestTime: currentTime
+        });
+        dispatchBuilds(pool, currentTime);
+    }
+
+    // Helper: Free the runner of a finished or canceled build
+    function releaseRunner(event, currentTime) {
+        const pool = runnerPools[event.pool];
+        pool.busy--;
+        dispatchBuilds(pool, currentTime);
+    }
+
+    // Helper: Record a build attempt that finished or was canceled
+    function recordBuild(event, status, currentTime) {
+        const build = {
+            type: event.buildType,
+            status: status,
+            requestTime: event.requestTime,
+            startTime: event.startTime, // null if it never got a runner
+            endTime: currentTime,
+            duration: event.startTime === null ? 0 : currentTime - event.startTime,
+            attempt: event.attempt || 0
+        };
+        if (event.prId !== undefined) {
+            build.prId = event.prId;
+        }
+        if (event.batchId !== undefined) {
+            build.batchId = event.batchId;
+        }
+        if (status === "failed" && event.conflict) {
+            build.conflict = true;
+        }
+        result.Builds.push(build);
+        return build;
+    }
+
+    // Helper: Cancel all waiting and running builds whose completion
+    // event matches the predicate
+    function cancelBuilds(predicate, currentTime) {
+        // Drop builds still waiting for a runner
+        for (const pool of Object.values(runnerPools)) {
+            pool.waiting = pool.waiting.filter(build => {
+                if (predicate(build.event)) {
+                    recordBuild(build.event, "canceled", currentTime);
+                    return false;
+                }
+                return true;
+            });
+        }
+
+        // Cancel running builds, in the order they would have finished
+        const removed = [];
+        for (const event of runningBuilds) {
+            if (predicate(event)) {
+                removed.push(event);
+            }
+        }
+        removed.sort((a, b) => a.time - b.time || a.eventId - b.eventId);
+
+        // Log canceled builds and free their runners
+        for (const event of removed) {
+            eventQueue.cancel(event);
+            runningBuilds.delete(event);
+            recordBuild(event, "canceled", currentTime);
+            runnerPools[event.pool].busy--;
+        }
+        for (const pool of Object.values(runnerPools)) {
+            dispatchBuilds(pool, currentTime);
+        }
+    }
+
+    // Helper: The semantic conflicts (pairs of PR ids) within the
+    // speculative stack of a build: any two of its PRs and the "stack"
+    // of unmerged PRs ahead of them
+    function conflictsIn(prs, stack) {
+        const conflicts = [];
+        if (conflictsOf.size === 0) return conflicts;
+
+        const inBuild = new Set([...prs, ...stack].map(pr => pr.id));
+        const seen = new Set();
+        for (const pr of [...prs, ...stack]) {
+            for (const otherId of conflictsOf.get(pr.id) || []) {
+                const key = Math.min(pr.id, otherId) + ':' + Math.max(pr.id, otherId);
+                if (inBuild.has(otherId) && !seen.has(key)) {
+                    seen.add(key);
+                    conflicts.push([pr.id, otherId]);
+                }
+            }
+        }
+        return conflicts;
+    }
+
+    // Helper: Whether any of the PRs has a semantic conflict at all
+    function hasConflicts(prs) {
+        return prs.some(pr => conflictsOf.has(pr.id));
+    }
+
+    // Helper: Full build duration of a set of PRs built together, from
+    // the batch duration model
+    function fullBuildDuration(prs) {
+        let longest = 0;
+        let total = 0;
+        for (const pr of prs) {
+            longest = Math.max(longest, pr.FullBuildTime);
+            total += pr.FullBuildTime;
+        }
+
+        if (batchDuration.mode === 'overhead') {
+            return longest + batchDuration.overhead * Math.max(0, prs.length - 1);
+        }
+        if (batchDuration.mode === 'parallel') {
+            return Math.max(longest, Math.round(total / batchDuration.parallelism));
+        }
+        if (batchDuration.mode === 'setup') {
+            // The longest build pays the setup; the others add their work
+            const work = pr => Math.max(0, pr.FullBuildTime - batchDuration.setup);
+            const extra = prs.reduce((sum, pr) => sum + work(pr), 0) - work({ FullBuildTime: longest });
+            return longest + extra;
+        }
+        return longest;
+    }
+
+    // Helper: Full build duration, genuine outcome and flake rate for a
+    // set of PRs built on top of "stack", the unmerged PRs ahead of them.
+    // "conflicts" lists the semantic conflicts in the build, and
+    // "conflictFailure" is set when they are the only reason it fails.
+    function fullBuildFor(prs, stack = []) {
+        let allPass = true;
+        let flakeRate = 0;
+        for (const pr of prs) {
+            if (!pr.FullBuildPasses) {
+                allPass = false;
+            }
+            if (pr.FullBuildFlakeRate > flakeRate) {
+                flakeRate = pr.FullBuildFlakeRate;
+            }
+        }
+        const conflicts = conflictsIn(prs, stack);
+        return {
+            duration: fullBuildDuration(prs),
+            passes: allPass && conflicts.length === 0,
+            flakeRate: flakeRate,
+            conflicts: conflicts,
+            conflictFailure: allPass && conflicts.length > 0
+        };
+    }
+
+    // Helper: Decide the outcome of a finished build attempt. A failed
+    // attempt with retries left is rerun and returns false; otherwise the
+    // event gets its final "passed" and "flaky" values and returns true.
+    function settleBuild(event, currentTime) {
+        const attempt = event.attempt || 0;
+        const flaky = event.passed && event.flakeRate > 0 && random() * 100 < event.flakeRate;
+        const passed = event.passed && !flaky;
+
+        const build = recordBuild(event, passed ? "passed" : "failed", currentTime);
+        if (flaky) {
+            build.flaky = true;
+        }
+        if (passed && event.buildType === "fast" && event.prId !== undefined) {
+            passedFastBuilds.set(event.prId, build);
+        }
+
+        if (attempt > 0) {
+            result.Retries.push({
+                type: event.buildType,
+                attempt: attempt,
+                startTime: event.startTime,
+                endTime: currentTime,
+                passed: passed
+            });
+        }
+
+        if (!passed && attempt < retries) {
+            build.retried = true;
+            const rerun = { ...event, attempt: attempt + 1 };
+            requestBuild(event.buildType, currentTime - event.startTime, rerun, currentTime, event.onStart);
+            return false;
+        }
+
+        event.passed = passed;
+        event.flaky = flaky;
+        return true;
+    }
+
+    // Helper: Check if current batch (or another open batch) is ready to
+    // close: all of its fast builds passed and the batching policy lets
+    // it go
+    function isCurrentBatchReady(pending = state.currentBatch) {
+        if (pending.prs.length === 0) return false;
+
+        for (const pr of pending.prs) {
+            const status = pending.fastBuildStatus[pr.id];
+            if (!status || !status.completed || !status.passed) {
+                return false;
+            }
+        }
+
+        if (batching.mode === 'minimum') {
+            return pending.prs.length >= batching.minSize || Boolean(pending.timerExpired);
+        }
+        if (batching.mode === 'cadence') {
+            return Boolean(pending.timerExpired);
+        }
+        return true;
+    }
+
+    // Helper: Cancel the batching policy timer of an open batch
+    function cancelBatchTimer(pending) {
+        if (pending.timer) {
+            eventQueue.cancel(pending.timer);
+            pending.timer = null;
+        }
+        pending.timerExpired = false;
+    }
+
+    // Helper: Start the batching policy timer of an open batch when its
+    // first PR joins
+    function startBatchTimer(pending, currentTime) {
+        cancelBatchTimer(pending);
+
+        let time;
+        if (batching.mode === 'minimum') {
+            time = currentTime + batching.timeout;
+        } else if (batching.mode === 'cadence') {
+            time = (Math.floor(currentTime / batching.cadence) + 1) * batching.cadence;
+        } else {
+            return;
+        }
+        pending.timer = { time: time, type: "Batch timer", pending: pending };
+        eventQueue.insert(time, pending.timer);
+    }
+
+    // Helper: Close the current batch if the strategy says so
+    function maybeCloseBatch(currentTime) {
+        if (strategy.shouldCloseBatch(sim, currentTime)) {
+            closeCurrentBatch(currentTime);
+        }
+    }
+
+    // Helper: The first PR in the queue (the active batches, the open
+    // batch the PR joins and the strategy's other open batches) whose
+    // touched paths overlap the paths of a PR, if any
+    function mergeConflictFor(pr, pending) {
+        if (!pr.TouchedPaths || pr.TouchedPaths.length === 0) return null;
+
+        const paths = new Set(pr.TouchedPaths);
+        const touches = other => other.id !== pr.id &&
+            (other.TouchedPaths || []).some(path => paths.has(path));
+        for (const batch of state.activeBatches) {
+            if (batch.status === 'failed') continue;
+            const other = batch.prs.find(touches);
+            if (other) return other;
+        }
+        const openBatches = state.openBatches ? [pending, ...state.openBatches.values()] : [pending];
+        for (const batch of openBatches) {
+            const other = batch.prs.find(touches);
+            if (other) return other;
+        }
+        return null;
+    }
+
+    // Helper: Add a PR to an open batch and start its fast build. A PR
+    // with a merge conflict is rejected instead; returns whether the PR
+    // was added.
+    function addToBatch(pr, currentTime, pending) {
+        // Check if this PR has appeared before (requeue)
+        const isRequeued = state.prAppearances[pr.id] > 0;
+        state.prAppearances[pr.id]++;
+        batchedAt.set(pr.id, currentTime);
+
+        // The new fast build replaces the result of the last one
+        if (passedFastBuilds.has(pr.id)) {
+            passedFastBuilds.get(pr.id).discarded = true;
+            passedFastBuilds.delete(pr.id);
+        }
+
+        // Reject a PR that cannot be merged on top of the queue
+        const conflicting = mergeConflictFor(pr, pending);
+        if (conflicting) {
+            pending.prEntries.push({
+                pr: pr,
+                queueTime: pr.queuetime,
+                isRequeued: isRequeued,
+                rejected: true
+            });
+            evict(pr, currentTime, "Merge conflict").conflictingPrId = conflicting.id;
+            return false;
+        }
+
+        // Add to the open batch
+        if (pending.prs.length === 0) {
+            startBatchTimer(pending, currentTime);
+        }
+        pending.prs.push(pr);
+        pending.prEntries.push({
+            pr: pr,
+            queueTime: pr.queuetime, // Original queue time (never changes)
+            isRequeued: isRequeued
+        });
+        pending.fastBuildStatus[pr.id] = {
+            completed: false,
+            passed: false
+        };
+
+        // Start fast build
+        requestBuild("fast", pr.FastBuildTime, {
+            type: "Fast build completion",
+            prId: pr.id,
+            passed: pr.FastBuildPasses,
+            flakeRate: pr.FastBuildFlakeRate || 0
+        }, currentTime);
+        return true;
+    }
+
+    // Helper: Add a PR to the current batch and start its fast build, then
+    // close the batch if the strategy says so
+    function addToCurrentBatch(pr, currentTime) {
+        if (addToBatch(pr, currentTime, state.currentBatch)) {
+            maybeCloseBatch(currentTime);
+        }
+    }
+
+    // Helper: Put a batch at the end of the active batches
+    function addActiveBatch(batch) {
+        state.activeBatches.push(batch);
+        activeBatchById.set(batch.id, batch);
+        for (const pr of batch.prs) {
+            activeBatchByPR.set(pr.id, batch);
+        }
+    }
+
+    // Helper: Take a batch out of the active batches
+    function removeActiveBatch(batch) {
+        const index = state.activeBatches.indexOf(batch);
+        if (index === -1) return;
+        state.activeBatches.splice(index, 1);
+        activeBatchById.delete(batch.id);
+        for (const pr of batch.prs) {
+            if (activeBatchByPR.get(pr.id) === batch) {
+                activeBatchByPR.delete(pr.id);
+            }
+        }
+    }
+
+    // Helper: Take the batches matching the predicate out of the active
+    // batches; returns them
+    function removeActiveBatches(predicate) {
+        const removed = [];
+        state.activeBatches = state.activeBatches.filter(batch => {
+            if (predicate(batch)) {
+                removed.push(batch);
+                return false;
+            }
+            return true;
+        });
+
+        for (const batch of removed) {
+            activeBatchById.delete(batch.id);
+            for (const pr of batch.prs) {
+                if (activeBatchByPR.get(pr.id) === batch) {
+                    activeBatchByPR.delete(pr.id);
+                }
+            }
+        }
+        return removed;
+    }
+
+    // Helper: Turn an open batch into an active batch, at the end of the
+    // active batches; returns the batch. Its full build is up to the caller.
+    function openBatch(pending, currentTime) {
+        cancelBatchTimer(pending);
+
+        const batch = {
+            id: nextBatchId++,
+            rowNumber: nextBatchId - 1, // Row in visualization
+            prs: [...pending.prs],
+            prEntries: [...pending.prEntries], // Detailed PR entry info
+            pullRequests: [...pending.prs], // For backwards compatibility
+            batchCreateTime: currentTime,
+            startTime: currentTime, // For backwards compatibility
+            status: 'building' // Will be updated to 'success', 'failed', or 'canceled'
+        };
+        if (pending.priority) {
+            batch.priority = true; // A hotfix batch
+        }
+
+        // Add to active batches and results
+        addActiveBatch(batch);
+        result.batches.push(batch);
+        return batch;
+    }
+
+    // Helper: Record the PRs of an open batch that never closed as an
+    // incomplete batch; returns the batch
+    function recordIncompleteBatch(pending) {
+        const batch = {
+            id: nextBatchId++,
+            rowNumber: nextBatchId - 1,
+            prs: [...pending.prs],
+            prEntries: [...pending.prEntries],
+            pullRequests: [...pending.prs],
+            batchCreateTime: undefined, // Not closed, so no batch create time
+            startTime: undefined,
+            status: 'incomplete' // Special status for incomplete batches
+        };
+        result.batches.push(batch);
+        return batch;
+    }
+
+    // Helper: The PRs of the active batches ahead of a batch, which its
+    // full build is built on top of. Failed batches that a strategy keeps
+    // among the active batches are not part of the stack.
+    function stackAhead(batch) {
+        const index = state.activeBatches.indexOf(batch);
+        return state.activeBatches.slice(0, index)
+            .filter(b => b.status !== 'failed')
+            .flatMap(b => b.prs);
+    }
+
+    // Helper: The speculative stacks a batch is built in: one per
+    // partition for batches that record "partitions", otherwise the
+    // single stack of the queue
+    function stacksOf(batch) {
+        return batch.partitions || [null];
+    }
+
+    // Helper: The slot bookkeeping of a stack, created on first use
+    function slotStack(stack) {
+        let slots = slotStacks.get(stack);
+        if (!slots) {
+            slots = { inFlight: new Set(), waiting: [], head: 0 };
+            slotStacks.set(stack, slots);
+        }
+        return slots;
+    }
+
+    // Helper: Count a batch among the batches in flight in its stacks
+    function takeSlots(batch) {
+        for (const stack of stacksOf(batch)) {
+            slotStack(stack).inFlight.add(batch);
+        }
+    }
+
+    // Helper: The number of active batches in a stack whose full builds
+    // are in flight. A batch a strategy already marked failed no longer
+    // counts.
+    function batchesInFlight(stack) {
+        const inFlight = slotStack(stack).inFlight;
+        for (const batch of inFlight) {
+            if (batch.status !== 'building' || findActiveBatch(batch.id) !== batch) {
+                inFlight.delete(batch);
+            }
+        }
+        return inFlight.size;
+    }
+
+    // Helper: The first batch of a stack still waiting for a slot, if any
+    function firstWaiting(stack) {
+        const slots = slotStack(stack);
+        while (slots.head < slots.waiting.length) {
+            const batch = slots.waiting[slots.head].batch;
+            if (batch.status === 'pending' && findActiveBatch(batch.id) === batch) {
+                // Drop the skipped entries once they make up most of the list
+                if (slots.head > 1024 && slots.head * 2 > slots.waiting.length) {
+                    slots.waiting = slots.waiting.slice(slots.head);
+                    slots.head = 0;
+                }
+                return slots.waiting[slots.head];
+            }
+            slots.head++;
+        }
+        slots.waiting = [];
+        slots.head = 0;
+        return null;
+    }
+
+    // Helper: Whether every stack of a batch has a free slot; "self" is
+    // the number of slots the batch itself already holds
+    function hasFreeSlot(batch, self) {
+        return stacksOf(batch).every(stack => batchesInFlight(stack) - self < speculationDepth);
+    }
+
+    // Helper: Start the full build of a batch that just closed by calling
+    // "start" with the start time, now or, beyond the speculation depth of
+    // one of its stacks, once a slot frees up there. Until then the batch
+    // is pending.
+    function startWhenSlotFree(batch, start, currentTime) {
+        if (speculationDepth !== Infinity) {
+            // The batch takes its slots, and gives them back if it waits
+            takeSlots(batch);
+            const stacks = stacksOf(batch);
+            const behind = stacks.some(stack => firstWaiting(stack) !== null);
+            if (behind || !hasFreeSlot(batch, 1)) {
+                batch.status = 'pending';
+                batch.waitedForSlot = true;
+                const waiting = { batch: batch, start: start, order: slotRequests++ };
+                for (const stack of stacks) {
+                    slotStack(stack).waiting.push(waiting);
+                }
+                return;
+            }
+        }
+        start(currentTime);
+    }
+
+    // Helper: Start the full builds of pending batches while slots are
+    // free, in queue order within each stack. A batch starts once it is
+    // the first waiting batch in each of its stacks and all of them have a
+    // free slot.
+    function startPendingBatches(currentTime) {
+        if (slotStacks.size === 0) return;
+        const ready = [];
+        let started = true;
+        while (started) {
+            started = false;
+            for (const stack of slotStacks.keys()) {
+                const waiting = firstWaiting(stack);
+                if (!waiting || !stacksOf(waiting.batch).every(other => firstWaiting(other) === waiting)) continue;
+                if (hasFreeSlot(waiting.batch, 0)) {
+                    // Building from here on, so it takes its slots
+                    waiting.batch.status = 'building';
+                    takeSlots(waiting.batch);
+                    ready.push(waiting);
+                    started = true;
+                }
+            }
+        }
+        ready.sort((a, b) => a.order - b.order);
+        for (const { batch, start } of ready) {
+            batch.slotStartTime = currentTime;
+            batch.slotWaitTime = currentTime - batch.batchCreateTime;
+            start(currentTime);
+        }
+    }
+
+    // Helper: Start the full build of a batch from the current batch
+    function startFullBuild(batch, currentTime) {
+        // Calculate full build parameters; the batch is built on top of
+        // the active batches ahead of it, which only matter for conflicts
+        const fullBuild = fullBuildFor(batch.prs, conflictsOf.size > 0 ? stackAhead(batch) : []);
+
+        batch.fullBuildTime = fullBuild.duration;
+        batch.fullBuildPasses = fullBuild.passes;
+        batch.FullBuildPasses = fullBuild.passes; // For backwards compatibility
+        if (fullBuild.conflicts.length > 0) {
+            batch.conflicts = fullBuild.conflicts;
+        }
+
+        // Schedule full build completion
+        requestBuild("full", fullBuild.duration, {
+            type: "Full build completion",
+            batchId: batch.id,
+            passed: fullBuild.passes,
+            flakeRate: fullBuild.flakeRate,
+            conflict: fullBuild.conflictFailure
+        }, currentTime, (startTime, waitTime) => {
+            // A rerun after a failure tests the batch again, and its wait
+            // for a runner adds to the batch's
+            batch.fullBuildStartTime = startTime;
+            batch.runnerWaitTime = (batch.runnerWaitTime || 0) + waitTime;
+        });
+    }
+
+    // Helper: Close current batch
+    function closeCurrentBatch(currentTime) {
+        if (state.currentBatch.prs.length === 0) return;
+
+        const batch = openBatch(state.currentBatch, currentTime);
+        startWhenSlotFree(batch, startTime => startFullBuild(batch, startTime), currentTime);
+
+        // Reset current batch
+        state.currentBatch = {
+            prs: [],
+            prEntries: [],
+            fastBuildStatus: {}
+        };
+    }
+
+    // Helper: Find the active batch with the given id
+    function findActiveBatch(batchId) {
+        return activeBatchById.get(batchId);
+    }
+
+    // Helper: Find the active batch that holds a PR, if any
+    function activeBatchOf(pr) {
+        return activeBatchByPR.get(pr.id);
+    }
+
+    // Helper: All PRs queued behind a batch (later active batches and the
+    // current batch)
+    function prsAfter(batch) {
+        const prs = [];
+        for (const b of state.activeBatches) {
+            if (b.id > batch.id) {
+                prs.push(...b.prs);
+            }
+        }
+        prs.push(...state.currentBatch.prs);
+        return prs;
+    }
+
+    // Helper: Merge a batch whose full build passed into the target branch
+    function mergeBatch(batch, currentTime) {
+        batch.status = 'success';
+        batch.completedTime = currentTime; // For backwards compatibility
+
+        // Add to pullRequests for backwards compatibility with renderer
+        result.pullRequests.push(batch);
+
+        // Remove from active batches
+        removeActiveBatch(batch);
+    }
+
+    // Helper: Mark a batch as failed and take it out of the queue, unless
+    // the strategy keeps it among the active batches
+    function failBatch(batch, currentTime, keepActive = false) {
+        batch.status = 'failed';
+        batch.failedTime = currentTime; // For backwards compatibility
+
+        if (!keepActive) {
+            removeActiveBatch(batch);
+        }
+    }
+
+    // Helper: Cancel an active batch and its full builds
+    function cancelBatch(batch, currentTime) {
+        cancelBuilds(e => e.batchId === batch.id, currentTime);
+
+        batch.status = 'canceled';
+        batch.canceledTime = currentTime;
+        removeActiveBatch(batch);
+    }
+
+    // Helper: Mark a PR as evicted from the queue. Evictions that stem
+    // from a flaky build failure or a semantic conflict are marked as such.
+    // Returns the eviction record.
+    function evict(pr, currentTime, reason) {
+        pr.evicted = true;
+        pr.evictedTime = currentTime;
+        pr.evictedReason = reason;
+
+        const eviction = {
+            prId: pr.id,
+            time: currentTime,
+            reason: reason
+        };
+        if (currentEvent && currentEvent.flaky) {
+            eviction.flaky = true;
+        }
+        if (currentEvent && currentEvent.conflict) {
+            eviction.conflict = true;
+        }
+        result.Evictions.push(eviction);
+        return eviction;
+    }
+
+    // Helper: Take a list of PRs out of the queue, canceling their
+    // builds and the batches that hold them
+    function takeOutOfQueue(prs, currentTime) {
+        // Cancel all builds for these PRs
+        const prIds = new Set(prs.map(pr => pr.id));
+
+        const isAffected = event => {
+            if (event.type === "Fast build completion" && prIds.has(event.prId)) {
+                return true;
+            }
+            if (event.batchId !== undefined) {
+                const batch = findActiveBatch(event.batchId);
+                if (batch && batch.prs.some(pr => prIds.has(pr.id))) {
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        cancelBuilds(isAffected, currentTime);
+
+        // Mark affected batches as canceled and remove from active batches
+        const affected = removeActiveBatches(batch => batch.prs.some(pr => prIds.has(pr.id)));
+        for (const batch of affected) {
+            batch.status = 'canceled';
+            batch.canceledTime = currentTime;
+        }
+
+        // Clear current batch if it contains affected PRs; the entries of
+        // PRs rejected from it stay, so they are still drawn
+        if (state.currentBatch.prs.some(pr => prIds.has(pr.id))) {
+            cancelBatchTimer(state.currentBatch);
+            state.currentBatch = {
+                prs: [],
+                prEntries: state.currentBatch.prEntries.filter(entry => entry.rejected),
+                fastBuildStatus: {}
+            };
+        }
+    }
+
+    // Helper: Reset queue from a list of PRs
+    function resetQueue(prsToRebatch, currentTime) {
+        takeOutOfQueue(prsToRebatch, currentTime);
+
+        // Re-batch PRs
+        for (const pr of prsToRebatch) {
+            addToCurrentBatch(pr, currentTime);
+        }
+    }
+
+    // Helper: Whether a PR is a hotfix
+    function isHighPriority(pr) {
+        return pr.Priority === "high";
+    }
+
+    // Helper: Record a hotfix jumping ahead of the PRs it restacks
+    function recordQueueJump(pr, restacked, currentTime) {
+        let delay = 0;
+        for (const other of restacked) {
+            delay += currentTime - batchedAt.get(other.id);
+        }
+        result.QueueJumps.push({
+            prId: pr.id,
+            time: currentTime,
+            restackedPrIds: restacked.map(other => other.id),
+            delay: delay
+        });
+    }
+
+    // Helper: Put a hotfix at the front of the speculative stack, behind
+    // the earlier hotfix batches. Its batch closes at once, without
+    // waiting for its fast build, and the normal PRs are restacked.
+    function jumpQueue(pr, currentTime) {
+        const restacked = [];
+        for (const batch of state.activeBatches) {
+            if (!batch.priority && batch.status !== 'failed') {
+                restacked.push(...batch.prs);
+            }
+        }
+        restacked.push(...state.currentBatch.prs);
+
+        recordQueueJump(pr, restacked, currentTime);
+        takeOutOfQueue(restacked, currentTime);
+
+        // The hotfix gets a fresh batch. The entries left in the current
+        // batch (PRs rejected or evicted from it) move on to the batch the
+        // restacked PRs land in.
+        const carried = state.currentBatch.prEntries;
+        cancelBatchTimer(state.currentBatch);
+        state.currentBatch = {
+            prs: [],
+            prEntries: [],
+            fastBuildStatus: {}
+        };
+        addToCurrentBatch(pr, currentTime);
+        closeCurrentBatch(currentTime);
+        const batch = activeBatchOf(pr);
+        if (batch) {
+            batch.priority = true;
+        }
+
+        state.currentBatch.prEntries.unshift(...carried);
+        for (const other of restacked) {
+            addToCurrentBatch(other, currentTime);
+        }
+    }
+
+    // Context handed to the strategy hooks
+    const sim = {
+        settings: settings,
+        state: state,
+        result: result,
+        schedule: (time, event) => eventQueue.insert(time, { ...event, time: time }),
+        requestBuild: requestBuild,
+        cancelBuilds: cancelBuilds,
+        fullBuildFor: fullBuildFor,
+        stackAhead: stackAhead,
+        hasConflicts: hasConflicts,
+        isCurrentBatchReady: isCurrentBatchReady,
+        cancelBatchTimer: cancelBatchTimer,
+        maybeCloseBatch: maybeCloseBatch,
+        addToBatch: addToBatch,
+        addToCurrentBatch: addToCurrentBatch,
+        closeCurrentBatch: closeCurrentBatch,
+        openBatch: openBatch,
+        startWhenSlotFree: startWhenSlotFree,
+        recordIncompleteBatch: recordIncompleteBatch,
+        findActiveBatch: findActiveBatch,
+        activeBatchOf: activeBatchOf,
+        prsAfter: prsAfter,
+        mergeBatch: mergeBatch,
+        failBatch: failBatch,
+        cancelBatch: cancelBatch,
+        evict: evict,
+        takeOutOfQueue: takeOutOfQueue,
+        resetQueue: resetQueue,
+        isHighPriority: isHighPriority,
+        recordQueueJump: recordQueueJump,
+        jumpQueue: jumpQueue
+    };
+
+    if (strategy.onStart) {
+        strategy.onStart(sim);
+    }
+
+    // Main event loop
+    let currentEvent = null;
+    let lastEventTime = 0;
+    let eventsProcessed = 0;
+    while (!eventQueue.isEmpty()) {
+        const event = eventQueue.removeMin();
+        const currentTime = event.time;
+        lastEventTime = currentTime;
+        eventsProcessed++;
+
+        // A finished build frees its runner for the next waiting build,
+        // unless the build failed and gets retried
+        if (event.pool) {
+            runningBuilds.delete(event);
+            releaseRunner(event, currentTime);
+            if (!settleBuild(event, currentTime)) {
+                continue;
+            }
+        }
+        currentEvent = event;
+
+        if (event.type === "PR commit") {
+            result.Commits.push({ prId: event.prId, time: currentTime });
+            strategy.onPRQueued(sim, state.prMap[event.prId], currentTime);
+        }
+        else if (event.type === "Fast build completion") {
+            const pr = state.prMap[event.prId];
+
+            // Update status
+            if (state.currentBatch.fastBuildStatus[pr.id]) {
+                state.currentBatch.fastBuildStatus[pr.id] = {
+                    completed: true,
+                    passed: event.passed
+                };
+            }
+
+            strategy.onFastBuildDone(sim, pr, event.passed, currentTime);
+        }
+        else if (event.type === "Batch timer") {
+            // The open batch may now close once it is ready
+            event.pending.timer = null;
+            event.pending.timerExpired = true;
+            if (event.pending === state.currentBatch) {
+                maybeCloseBatch(currentTime);
+            } else if (strategy.onEvent) {
+                strategy.onEvent(sim, event, currentTime);
+            }
+        }
+        else if (event.type === "Full build completion") {
+            const batch = findActiveBatch(event.batchId);
+            if (!batch) continue; // Already canceled
+
+            batch.buildCompleteTime = currentTime;
+
+            strategy.onFullBuildDone(sim, batch, event.passed, currentTime);
+        }
+        else if (strategy.onEvent) {
+            strategy.onEvent(sim, event, currentTime);
+        }
+
+        // Batches that left the queue free their speculation slots
+        startPendingBatches(currentTime);
+    }
+
+    // Handle any remaining PRs in currentBatch at end of simulation,
+    // including PRs that were only rejected from it
+    if (state.currentBatch.prs.length > 0 || state.currentBatch.prEntries.some(entry => entry.rejected)) {
+        recordIncompleteBatch(state.currentBatch);
+    }
+    if (strategy.onEnd) {
+        strategy.onEnd(sim, lastEventTime);
+    }
+
+    // Events taken off the queue (canceled builds not included)
+    result.eventsProcessed = eventsProcessed;
+
+    // Calculate statistics
+    result.statistics = calculateStatistics(result, {
+        prStaleness: settings.prStaleness,
+        costs: settings.costs
+    });
+
+    return result;
+}
+
+export { simulate };
@@ -0,0 +1,100 @@
+//
+// Javascript for the simulation event queue.
+//
+// A binary min-heap of events ordered by time. Events at the same time
+// come out in the order they were inserted: every insert stamps the
+// event with an increasing "eventId", which breaks ties.
+//
+// Canceling an event is lazy. The event is marked as canceled (a
+// tombstone) and stays in the heap until it reaches the top, where it is
+// dropped. That makes a cancel O(1) instead of a search through the
+// whole queue, which holds every PR commit that has yet to arrive.
+//
+
+// Helper: Whether heap entry a comes before entry b
+function before(a, b) {
+    return a.key < b.key || (a.key === b.key && a.value.eventId < b.value.eventId);
+}
+
+function createEventQueue() {
+    const heap = []; // {key, value}
+    let nextEventId = 0;
+    let live = 0; // Events in the heap that are not canceled
+
+    function siftUp(index) {
+        const entry = heap[index];
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!before(entry, heap[parent])) break;
+            heap[index] = heap[parent];
+            index = parent;
+        }
+        heap[index] = entry;
+    }
+
+    function siftDown(index) {
+        const entry = heap[index];
+        const length = heap.length;
+        while (true) {
+            const left = 2 * index + 1;
+            if (left >= length) break;
+            const right = left + 1;
+            const child = right < length && before(heap[right], heap[left]) ? right : left;
+            if (!before(heap[child], entry)) break;
+            heap[index] = heap[child];
+            index = child;
+        }
+        heap[index] = entry;
+    }
+
+    // Helper: Take the top entry off the heap
+    function pop() {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            siftDown(0);
+        }
+        return top.value;
+    }
+
+    // Helper: Drop canceled events from the top of the heap
+    function dropCanceled() {
+        while (heap.length > 0 && heap[0].value.canceled) {
+            pop();
+        }
+    }
+
+    return {
+        insert(time, event) {
+            event.eventId = nextEventId++;
+            heap.push({ key: time, value: event });
+            siftUp(heap.length - 1);
+            live++;
+        },
+
+        removeMin() {
+            dropCanceled();
+            if (heap.length === 0) return null;
+            live--;
+            return pop();
+        },
+
+        // Mark an event in the queue as canceled; removeMin skips it
+        cancel(event) {
+            if (event.canceled) return;
+            event.canceled = true;
+            live--;
+        },
+
+        isEmpty() {
+            return live === 0;
+        },
+
+        size() {
+            return live;
+        }
+    };
+}
+
+export { createEventQueue };
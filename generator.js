@@ -2,6 +2,22 @@
  * Generator module for creating pull request data
  */
 
+import { createRandom, randomSeed, streamSeed } from './random.js';
+import { createArrivalSampler } from './arrivals.js';
+import { createBuildTimeSampler } from './distributions.js';
+
+// Names of the generated components; any beyond these are numbered
+const componentNames = ['backend', 'frontend', 'docs', 'infra', 'mobile', 'data'];
+
+/**
+ * Gets the name of a generated component
+ * @param {number} index - Index of the component
+ * @returns {string} Component name
+ */
+function componentName(index) {
+	return index < componentNames.length ? componentNames[index] : `component${index + 1}`;
+}
+
 /**
  * Generates a list of pull requests with random timing and build characteristics
  * @param {Object} config - Configuration for PR generation
@@ -13,6 +29,38 @@
  * @param {number} config.buildSpeedFull - Average full build time in seconds
  * @param {number} config.buildSuccessRateFull - Full build success rate (0-100)
  * @param {number} config.buildSpeedVarianceFull - Variance in full build time
+ * @param {Object} config.buildTimeFast - Optional fast build time
+ *     distribution (see distributions.js); without one fast build times
+ *     are uniform within buildSpeedVarianceFast of the build speed
+ * @param {Object} config.buildTimeFull - Optional full build time
+ *     distribution, like buildTimeFast
+ * @param {number} config.flakeRateFast - Chance (0-100) that a fast build
+ *     attempt which should pass fails anyway
+ * @param {number} config.flakeRateFull - Chance (0-100) that a full build
+ *     attempt which should pass fails anyway
+ * @param {number} config.conflictRate - Chance (0-100) that a PR has a
+ *     semantic conflict with one of the PRs queued shortly before it:
+ *     each passes on its own, but a full build with both fails
+ * @param {number} config.conflictWindow - How many of the preceding PRs
+ *     a conflict can be with (default 5)
+ * @param {number} config.pathOverlapRate - Chance (0-100) that a PR also
+ *     touches a path of one of the PRs queued shortly before it. Without
+ *     it (or at 0) PRs carry no touched paths
+ * @param {number} config.overlapWindow - How many of the preceding PRs an
+ *     overlap can be with (default 5)
+ * @param {number} config.hotfixRate - Chance (0-100) that a PR is a
+ *     high priority hotfix. Without it (or at 0) PRs carry no priority
+ * @param {number} config.components - Number of components of the
+ *     repository; each PR gets one at random. Without it (or at 0) PRs
+ *     carry no components
+ * @param {number} config.crossComponentRate - Chance (0-100) that a PR
+ *     touches a second component
+ * @param {Object} config.arrivalProfile - Optional arrival profile (see
+ *     arrivals.js); without one PRs arrive at the constant rate
+ * @param {number} config.seed - Seed for every random draw. Semantic
+ *     conflicts, touched paths, priorities and components are each drawn
+ *     from a stream of their own, so turning them on leaves the arrivals,
+ *     outcomes and build times as they were
  * @returns {Array} Array of pull request objects
  */
 export function generatePullRequests(config) {
@@ -24,46 +72,144 @@ export function generatePullRequests(config) {
 		buildSpeedVarianceFast,
 		buildSpeedFull,
 		buildSuccessRateFull,
-		buildSpeedVarianceFull
+		buildSpeedVarianceFull,
+		flakeRateFast = 0,
+		flakeRateFull = 0,
+		buildTimeFast = { distribution: 'uniform', variance: buildSpeedVarianceFast },
+		buildTimeFull = { distribution: 'uniform', variance: buildSpeedVarianceFull },
+		conflictRate = 0,
+		conflictWindow = 5,
+		pathOverlapRate = 0,
+		overlapWindow = 5,
+		hotfixRate = 0,
+		components = 0,
+		crossComponentRate = 0,
+		arrivalProfile,
+		seed
 	} = config;
+	const scenarioSeed = seed === undefined ? randomSeed() : seed;
+	const random = createRandom(scenarioSeed);
+	const conflictRandom = createRandom(streamSeed(scenarioSeed, 'conflicts'));
+	const pathRandom = createRandom(streamSeed(scenarioSeed, 'paths'));
+	const priorityRandom = createRandom(streamSeed(scenarioSeed, 'priorities'));
+	const componentRandom = createRandom(streamSeed(scenarioSeed, 'components'));
+	const nextArrival = arrivalProfile ? createArrivalSampler(arrivalProfile, prsPerHour) : null;
+	const fastBuildTime = createBuildTimeSampler(buildTimeFast, buildSpeedFast, random);
+	const fullBuildTime = createBuildTimeSampler(buildTimeFull, buildSpeedFull, random);
 
 	// Generate pull requests
 	const pullRequests = [];
 	const secondsBetweenPRs = 3600 / prsPerHour;
 	let cumulativeTime = 0;
+	let nextPath = 0;
 
 	for (let i = 0; i < numPRs; i++) {
 		// Add variance to the time between PRs using exponential distribution
 		// This creates realistic bursts while maintaining the expected rate
-		const randomFactor = -Math.log(1 - Math.random());
-		const timeSinceLastPR = secondsBetweenPRs * randomFactor;
-		cumulativeTime += timeSinceLastPR;
+		const randomFactor = -Math.log(1 - random());
+		if (nextArrival) {
+			// The rate follows the arrival profile
+			cumulativeTime = nextArrival(cumulativeTime, randomFactor);
+		} else {
+			const timeSinceLastPR = secondsBetweenPRs * randomFactor;
+			cumulativeTime += timeSinceLastPR;
+		}
 
 		// Calculate queue time with variance (in seconds)
 		const queuetime = Math.round(cumulativeTime);
 
 		// Determine if fast build passes (based on success rate)
-		const FastBuildPasses = Math.random() * 100 < buildSuccessRateFast;
+		const FastBuildPasses = random() * 100 < buildSuccessRateFast;
 
 		// Determine if full build passes (based on success rate)
-		const FullBuildPasses = FastBuildPasses && (Math.random() * 100 < buildSuccessRateFull);
+		const FullBuildPasses = FastBuildPasses && (random() * 100 < buildSuccessRateFull);
 
-		// Generate fast build time with variance (in seconds)
-		const fastVariance = (Math.random() - 0.5) * 2 * buildSpeedVarianceFast;
-		const FastBuildTime = Math.max(1, Math.round(buildSpeedFast + fastVariance));
+		// Draw the build times from their distributions (in seconds)
+		const FastBuildTime = fastBuildTime();
+		const FullBuildTime = fullBuildTime();
 
-		// Generate full build time with variance (in seconds)
-		const fullVariance = (Math.random() - 0.5) * 2 * buildSpeedVarianceFull;
-		const FullBuildTime = Math.max(1, Math.round(buildSpeedFull + fullVariance));
-
-		pullRequests.push({
+		const pr = {
 			queuetime: queuetime,
 			FastBuildPasses: FastBuildPasses,
 			FullBuildPasses: FullBuildPasses,
 			FastBuildTime: FastBuildTime,
-			FullBuildTime: FullBuildTime
-		});
+			FullBuildTime: FullBuildTime,
+			// Flakiness is rolled per build attempt during the simulation
+			FastBuildFlakeRate: flakeRateFast,
+			FullBuildFlakeRate: flakeRateFull
+		};
+
+		// Semantic conflict with one of the nearby earlier PRs, by index
+		if (conflictRate > 0 && i > 0 && conflictRandom() * 100 < conflictRate) {
+			const nearby = Math.min(i, Math.max(1, conflictWindow));
+			pr.ConflictsWith = [i - 1 - Math.floor(conflictRandom() * nearby)];
+		}
+
+		// Touched paths: one to three of its own, and maybe one a nearby
+		// earlier PR touches as well (a merge conflict if both are queued)
+		if (pathOverlapRate > 0) {
+			const count = 1 + Math.floor(pathRandom() * 3);
+			pr.TouchedPaths = Array.from({ length: count }, () => `src/file${nextPath++}.js`);
+			if (i > 0 && pathRandom() * 100 < pathOverlapRate) {
+				const nearby = Math.min(i, Math.max(1, overlapWindow));
+				const other = pullRequests[i - 1 - Math.floor(pathRandom() * nearby)];
+				pr.TouchedPaths.push(other.TouchedPaths[Math.floor(pathRandom() * other.TouchedPaths.length)]);
+			}
+		}
+
+		// Priority class: "high" for hotfixes, "normal" otherwise
+		if (hotfixRate > 0) {
+			pr.Priority = priorityRandom() * 100 < hotfixRate ? 'high' : 'normal';
+		}
+
+		// Components: one at random, and maybe a second one
+		if (components > 0) {
+			const first = Math.floor(componentRandom() * components);
+			pr.Components = [componentName(first)];
+			if (components > 1 && componentRandom() * 100 < crossComponentRate) {
+				const second = (first + 1 + Math.floor(componentRandom() * (components - 1))) % components;
+				pr.Components.push(componentName(second));
+			}
+		}
+
+		pullRequests.push(pr);
 	}
 
 	return pullRequests;
 }
+
+/**
+ * Generates a scenario: the pull requests plus the generator config and
+ * seed they came from, so the scenario can be regenerated exactly
+ * @param {Object} config - Configuration for PR generation (see
+ *     generatePullRequests); a random seed is picked if none is given
+ * @returns {Object} Scenario with `generator` config and `pullRequests`
+ */
+export function generateScenario(config) {
+	const generator = {
+		...config,
+		seed: config.seed === undefined ? randomSeed() : config.seed
+	};
+
+	return {
+		generator: generator,
+		pullRequests: generatePullRequests(generator)
+	};
+}
+
+/**
+ * Gets the pull requests out of input data, which is either a scenario
+ * from generateScenario or a plain array of pull requests
+ * @param {Object|Array} data - Parsed input data
+ * @returns {Array|null} Array of pull request objects, or null if the
+ *     data has neither shape
+ */
+export function scenarioPullRequests(data) {
+	if (Array.isArray(data)) {
+		return data;
+	}
+	if (data && Array.isArray(data.pullRequests)) {
+		return data.pullRequests;
+	}
+	return null;
+}
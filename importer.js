@@ -0,0 +1,345 @@
+/**
+ * Importer for merge queue history exported from a CI system
+ * Reads CSV or JSON records, maps their columns to the pull request
+ * fields and converts them to simulator input: queue times relative to
+ * the first PR in seconds, pass/fail outcomes and build durations.
+ */
+
+/**
+ * The pull request fields a column can be mapped to. Timestamps may be
+ * dates ("2024-05-02T10:15:00Z") or epoch seconds or milliseconds;
+ * durations are seconds or "h:mm:ss"; results are pass/fail words,
+ * true/false or 1/0. A build's duration comes from its duration column,
+ * or else from its start and end columns. Without fast build columns
+ * every fast build passes in one second, so the history runs as if
+ * there were full builds only. Touched paths and components are a list,
+ * or text with the entries separated by semicolons, pipes or whitespace.
+ * A priority is high for words like hotfix, urgent or p0, or true/1, and
+ * normal for anything else.
+ */
+export const importFields = [
+	{ id: 'id', label: 'PR id', kind: 'text',
+		aliases: ['id', 'pr', 'prid', 'prnumber', 'number', 'pullrequest', 'sourceid'] },
+	{ id: 'queueTime', label: 'Queued at', kind: 'timestamp', required: true,
+		aliases: ['queuetime', 'queuedat', 'enqueuedat', 'enqueuetime', 'queued', 'createdat', 'timestamp', 'time'] },
+	{ id: 'fastBuildResult', label: 'Fast build result', kind: 'result',
+		aliases: ['fastbuildpasses', 'fastbuildresult', 'fastbuildstatus', 'fastbuildconclusion', 'fastresult', 'faststatus'] },
+	{ id: 'fastBuildDuration', label: 'Fast build duration', kind: 'duration',
+		aliases: ['fastbuildtime', 'fastbuildduration', 'fastduration'] },
+	{ id: 'fastBuildStart', label: 'Fast build started at', kind: 'timestamp',
+		aliases: ['fastbuildstart', 'fastbuildstartedat', 'faststart', 'faststartedat'] },
+	{ id: 'fastBuildEnd', label: 'Fast build finished at', kind: 'timestamp',
+		aliases: ['fastbuildend', 'fastbuildfinishedat', 'fastbuildcompletedat', 'fastend', 'fastfinishedat'] },
+	{ id: 'fullBuildResult', label: 'Full build result', kind: 'result', required: true,
+		aliases: ['fullbuildpasses', 'fullbuildresult', 'fullbuildstatus', 'fullbuildconclusion', 'fullresult',
+			'fullstatus', 'result', 'status', 'conclusion', 'outcome'] },
+	{ id: 'fullBuildDuration', label: 'Full build duration', kind: 'duration',
+		aliases: ['fullbuildtime', 'fullbuildduration', 'fullduration', 'duration', 'buildtime', 'buildduration'] },
+	{ id: 'fullBuildStart', label: 'Full build started at', kind: 'timestamp',
+		aliases: ['fullbuildstart', 'fullbuildstartedat', 'fullstart', 'startedat', 'buildstart'] },
+	{ id: 'fullBuildEnd', label: 'Full build finished at', kind: 'timestamp',
+		aliases: ['fullbuildend', 'fullbuildfinishedat', 'fullbuildcompletedat', 'fullend', 'finishedat',
+			'completedat', 'buildend'] },
+	{ id: 'touchedPaths', label: 'Touched paths', kind: 'list',
+		aliases: ['touchedpaths', 'paths', 'files', 'changedfiles', 'filenames', 'modifiedfiles'] },
+	{ id: 'priority', label: 'Priority', kind: 'priority',
+		aliases: ['priority', 'prio', 'hotfix', 'urgent'] },
+	{ id: 'components', label: 'Components', kind: 'list',
+		aliases: ['components', 'component', 'partitions', 'partition', 'areas', 'area'] }
+];
+
+const passWords = ['true', '1', 'yes', 'pass', 'passed', 'success', 'succeeded', 'successful', 'ok', 'green'];
+const failWords = ['false', '0', 'no', 'fail', 'failed', 'failure', 'error', 'errored', 'broken', 'red'];
+const highPriorityWords = ['high', 'hotfix', 'urgent', 'critical', 'p0', 'true', '1', 'yes'];
+
+/**
+ * Parses CSV text with a header line. Fields may be quoted ("a, b" and
+ * "say ""hi"""); the delimiter is a comma, semicolon or tab, whichever
+ * the header line has most of.
+ * @param {string} text - CSV text
+ * @returns {Array} Records, one object per line keyed by the header
+ */
+export function parseCSV(text) {
+	const headerLine = text.slice(0, text.search(/\r?\n|$/));
+	const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+		headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best);
+
+	// Split into lines of fields, honouring quotes
+	const lines = [];
+	let fields = [];
+	let field = '';
+	let quoted = false;
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === delimiter) {
+			fields.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') i++;
+			fields.push(field);
+			lines.push(fields);
+			fields = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+	if (field !== '' || fields.length > 0) {
+		fields.push(field);
+		lines.push(fields);
+	}
+
+	const [header, ...rows] = lines.filter(line => line.some(value => value.trim() !== ''));
+	if (!header) {
+		return [];
+	}
+	const columns = header.map(column => column.trim());
+	return rows.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i] === undefined ? '' : row[i].trim()])));
+}
+
+/**
+ * Parses exported records, as CSV or as JSON (an array of objects, or an
+ * object holding one). Nested JSON objects are flattened to dotted
+ * columns such as "fullBuild.duration".
+ * @param {string} text - Exported text
+ * @returns {Object} The records and their columns ({records, columns})
+ */
+export function parseRecords(text) {
+	const trimmed = text.trim();
+	let records;
+	if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+		let data;
+		try {
+			data = JSON.parse(trimmed);
+		} catch (error) {
+			throw new Error('Invalid JSON: ' + error.message);
+		}
+		if (!Array.isArray(data)) {
+			data = Object.values(data).find(value => Array.isArray(value));
+			if (!data) {
+				throw new Error('The JSON holds no array of records');
+			}
+		}
+		records = data.map(record => flatten(record));
+	} else {
+		records = parseCSV(trimmed);
+	}
+
+	const columns = [];
+	for (const record of records) {
+		for (const column of Object.keys(record)) {
+			if (!columns.includes(column)) columns.push(column);
+		}
+	}
+	return { records: records, columns: columns };
+}
+
+// Flattens nested objects into dotted keys; anything else is one value
+function flatten(value, prefix = '', into = {}) {
+	if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+		for (const [key, inner] of Object.entries(value)) {
+			flatten(inner, prefix ? `${prefix}.${key}` : key, into);
+		}
+	} else if (prefix) {
+		into[prefix] = value;
+	}
+	return into;
+}
+
+/**
+ * Guesses the column mapping from the column names
+ * @param {Array} columns - Column names of the records
+ * @returns {Object} Mapping from field id to column name, for the
+ *     fields a column was found for
+ */
+export function guessMapping(columns) {
+	const normalized = columns.map(column => String(column).toLowerCase().replace(/[^a-z0-9]/g, ''));
+	const mapping = {};
+	const used = new Set();
+	for (const field of importFields) {
+		for (const alias of field.aliases) {
+			const index = normalized.findIndex((name, i) => name === alias && !used.has(i));
+			if (index !== -1) {
+				mapping[field.id] = columns[index];
+				used.add(index);
+				break;
+			}
+		}
+	}
+	return mapping;
+}
+
+// Helpers: Convert one value, returning undefined if it cannot be used
+function toTimestamp(value) {
+	if (typeof value === 'number' || /^\s*-?\d+(\.\d+)?\s*$/.test(String(value))) {
+		const number = Number(value);
+		// Epoch milliseconds are a thousand times larger than epoch seconds
+		return Math.abs(number) > 1e11 ? number / 1000 : number;
+	}
+	const time = Date.parse(value);
+	return isNaN(time) ? undefined : time / 1000;
+}
+function toDuration(value) {
+	if (typeof value === 'number') {
+		return value >= 0 ? value : undefined;
+	}
+	const parts = String(value).trim().split(':');
+	if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) {
+		return undefined;
+	}
+	return parts.reduce((seconds, part) => seconds * 60 + Number(part), 0);
+}
+function toResult(value) {
+	const word = String(value).trim().toLowerCase();
+	if (passWords.includes(word)) return true;
+	if (failWords.includes(word)) return false;
+	return undefined;
+}
+function toPriority(value) {
+	return highPriorityWords.includes(String(value).trim().toLowerCase()) ? 'high' : 'normal';
+}
+function toList(value) {
+	if (Array.isArray(value)) {
+		return value.every(entry => typeof entry === 'string') ? value.filter(entry => entry.trim() !== '') : undefined;
+	}
+	return String(value).split(/[;|\s]+/).filter(entry => entry !== '');
+}
+
+/**
+ * Converts records to pull requests with a column mapping. Records that
+ * cannot be used are left out and reported.
+ * @param {Array} records - Records from parseRecords
+ * @param {Object} mapping - Mapping from field id (see importFields) to
+ *     column name; unmapped fields are left out
+ * @returns {Object} The pull requests ordered by queue time, the skipped
+ *     records ({row, id, reason}, row counting from 1) and the absolute
+ *     time of queue time 0 in epoch seconds ({pullRequests, skipped, start})
+ */
+export function importPullRequests(records, mapping) {
+	for (const field of importFields.filter(field => field.required)) {
+		if (!mapping[field.id]) {
+			throw new Error(`Map a column to "${field.label}"`);
+		}
+	}
+	if (!mapping.fullBuildDuration && !(mapping.fullBuildStart && mapping.fullBuildEnd)) {
+		throw new Error('Map a column to "Full build duration", or to both "Full build started at" and "Full build finished at"');
+	}
+	for (const type of ['fast', 'full']) {
+		if (Boolean(mapping[`${type}BuildStart`]) !== Boolean(mapping[`${type}BuildEnd`])) {
+			const fields = importFields.filter(field => field.id === `${type}BuildStart` || field.id === `${type}BuildEnd`);
+			throw new Error(`Map columns to both "${fields[0].label}" and "${fields[1].label}", or to neither`);
+		}
+	}
+
+	const rows = [];
+	const skipped = [];
+	records.forEach((record, index) => {
+		const value = fieldId => mapping[fieldId] ? record[mapping[fieldId]] : undefined;
+		const missing = fieldId => {
+			const raw = value(fieldId);
+			return raw === undefined || raw === null || String(raw).trim() === '';
+		};
+		const label = fieldId => importFields.find(field => field.id === fieldId).label;
+
+		// Each check returns the converted value, or records the reason
+		// the row cannot be used
+		let reason = null;
+		const read = (fieldId, convert, optional) => {
+			if (reason || !mapping[fieldId]) return undefined;
+			if (missing(fieldId)) {
+				if (!optional) reason = `no "${label(fieldId)}" value`;
+				return undefined;
+			}
+			const converted = convert(value(fieldId));
+			if (converted === undefined) {
+				reason = `"${label(fieldId)}" cannot be read: "${value(fieldId)}"`;
+			}
+			return converted;
+		};
+		const duration = type => {
+			const direct = read(`${type}BuildDuration`, toDuration, Boolean(mapping[`${type}BuildStart`]));
+			if (direct !== undefined || reason) return direct;
+			const start = read(`${type}BuildStart`, toTimestamp);
+			const end = read(`${type}BuildEnd`, toTimestamp);
+			if (reason || start === undefined || end === undefined) return undefined;
+			if (end < start) {
+				reason = `the ${type} build finished before it started`;
+				return undefined;
+			}
+			return end - start;
+		};
+
+		const queueTime = read('queueTime', toTimestamp);
+		const fastPasses = read('fastBuildResult', toResult);
+		const fastTime = duration('fast');
+		const fullPasses = read('fullBuildResult', toResult);
+		const fullTime = duration('full');
+		const touchedPaths = read('touchedPaths', toList, true);
+		const priority = read('priority', toPriority, true);
+		const components = read('components', toList, true);
+
+		const id = missing('id') ? undefined : String(value('id'));
+		if (reason) {
+			skipped.push({ row: index + 1, id: id, reason: reason });
+			return;
+		}
+
+		const FastBuildPasses = fastPasses === undefined ? true : fastPasses;
+		rows.push({
+			time: queueTime,
+			pr: {
+				...(id === undefined ? {} : { sourceId: id }),
+				FastBuildPasses: FastBuildPasses,
+				// A PR whose fast build fails never gets a passing full build
+				FullBuildPasses: FastBuildPasses && fullPasses,
+				FastBuildTime: Math.max(1, Math.round(fastTime === undefined ? 1 : fastTime)),
+				FullBuildTime: Math.max(1, Math.round(fullTime)),
+				FastBuildFlakeRate: 0,
+				FullBuildFlakeRate: 0,
+				...(touchedPaths === undefined ? {} : { TouchedPaths: touchedPaths }),
+				...(priority === undefined ? {} : { Priority: priority }),
+				...(components === undefined ? {} : { Components: components })
+			}
+		});
+	});
+
+	rows.sort((a, b) => a.time - b.time);
+	const start = rows.length > 0 ? rows[0].time : null;
+	const pullRequests = rows.map(row => ({ queuetime: Math.round(row.time - start), ...row.pr }));
+	return { pullRequests: pullRequests, skipped: skipped, start: start };
+}
+
+/**
+ * Imports exported history as a scenario: the pull requests plus a
+ * record of where they came from, in place of the generator config
+ * @param {Array} records - Records from parseRecords
+ * @param {Object} mapping - Column mapping (see importPullRequests)
+ * @returns {Object} The scenario ({imported, pullRequests}) and the
+ *     skipped records ({scenario, skipped})
+ */
+export function importScenario(records, mapping) {
+	const { pullRequests, skipped, start } = importPullRequests(records, mapping);
+	return {
+		scenario: {
+			imported: {
+				start: start === null ? null : new Date(start * 1000).toISOString(),
+				mapping: mapping,
+				records: records.length,
+				skipped: skipped.length
+			},
+			pullRequests: pullRequests
+		},
+		skipped: skipped
+	};
+}
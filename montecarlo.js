@@ -0,0 +1,85 @@
+//
+// Javascript for Monte Carlo runs of a merge queue strategy.
+//
+// A single generated PR list is one sample. A Monte Carlo run generates
+// several independent PR lists from the same generator config, one per
+// seed, simulates the strategy on each, and summarizes every statistic
+// across the runs as a mean with a 95% confidence interval. The seeds
+// are consecutive from the base seed, so the first run matches the
+// scenario that Generate produces for the same seed.
+//
+
+import { generatePullRequests } from './generator.js';
+import { randomSeed } from './random.js';
+import { simulateStrategy } from './strategies.js';
+import { statisticMetrics } from './statistics.js';
+
+// Two-sided 95% critical values of Student's t distribution for 1 to 30
+// degrees of freedom; beyond that the normal value is close enough
+const T_CRITICAL_95 = [
+    12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+// Mean and 95% confidence interval of the mean of the values. With a
+// single value the interval is just that value.
+function confidenceInterval(values) {
+    const n = values.length;
+    const mean = values.reduce((sum, value) => sum + value, 0) / n;
+    if (n < 2) {
+        return { mean: mean, low: mean, high: mean, stdDev: 0 };
+    }
+
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1);
+    const stdDev = Math.sqrt(variance);
+    const t = n - 1 <= T_CRITICAL_95.length ? T_CRITICAL_95[n - 2] : 1.96;
+    const margin = t * stdDev / Math.sqrt(n);
+
+    return { mean: mean, low: mean - margin, high: mean + margin, stdDev: stdDev };
+}
+
+// Generates "runs" PR lists from the generator config and simulates the
+// strategy on each. The config's seed is the base seed (a random one if
+// it has none). Returns the base seed, the statistics of every run and
+// one summary row per statistic metric and runner pool ({metric, mean,
+// low, high, stdDev, min, max}).
+function runMonteCarlo(generatorConfig, runs, strategyId, settings) {
+    if (!(runs >= 1)) {
+        throw new Error('A Monte Carlo run needs at least one run');
+    }
+    const baseSeed = generatorConfig.seed === undefined ? randomSeed() : generatorConfig.seed;
+
+    const statistics = [];
+    for (let i = 0; i < runs; i++) {
+        const seed = (baseSeed + i) >>> 0;
+        const pullRequests = generatePullRequests({ ...generatorConfig, seed: seed });
+        const result = simulateStrategy(strategyId, pullRequests, { ...settings, seed: seed });
+        statistics.push(result.statistics);
+    }
+
+    // Runner utilization is one statistic per pool; the average number of
+    // busy runners is defined for unlimited pools too
+    const metrics = statisticMetrics.filter(metric => statistics[0][metric.key] !== undefined);
+    for (const pool of Object.keys(statistics[0].runnerUtilization)) {
+        metrics.push({
+            key: `runnerUtilization.${pool}`,
+            label: `Busy Runners (${pool}, average)`,
+            value: stats => stats.runnerUtilization[pool].averageBusy
+        });
+    }
+
+    const summary = metrics.map(metric => {
+        const values = statistics.map(stats => metric.value ? metric.value(stats) : stats[metric.key]);
+        return {
+            metric: metric,
+            ...confidenceInterval(values),
+            min: Math.min(...values),
+            max: Math.max(...values)
+        };
+    });
+
+    return { baseSeed: baseSeed, statistics: statistics, summary: summary };
+}
+
+export { confidenceInterval, runMonteCarlo };
@@ -0,0 +1,347 @@
+//
+// Javascript for the partitioned merge queue strategy.
+//
+// A monorepo often holds components that do not depend on each other,
+// so a failure in one (say the docs) says nothing about another (the
+// backend). This strategy gives each component, or partition, its own
+// speculative stack. A PR belongs to the partitions listed in its
+// "Components"; PRs without them belong to the partition "default".
+//
+// * PRs wait in an open batch per set of partitions, so all PRs of a
+//   batch touch the same partitions. An open batch closes like the
+//   current batch of the simple strategy: when it is full or all of its
+//   fast builds passed.
+//
+// * A batch gets a full build in every partition it touches, built on
+//   top of the active batches of that partition only. It merges when all
+//   of them pass, so a cross-partition PR has to pass in every partition
+//   it touches. The first failing partition build fails the batch and
+//   cancels the others.
+//
+// * Failures are handled like in the simple strategy, but only the PRs
+//   behind the failed batch that share a partition with it (or with a
+//   batch rebatched because of it) are rebatched. The other partitions
+//   keep building. Unlike in the simple strategy, a failed batch leaves
+//   the queue at once, and its evicted PRs' fast builds are canceled.
+//
+// * With the "priorityJump" option, a hotfix jumps the queue of its
+//   partitions: it gets a batch of its own at the front of their stacks,
+//   behind earlier hotfix batches only, and the normal PRs queued in
+//   them are restacked behind it (see jumpQueue in engine.js).
+//
+// Batches record their "partitions", and "partitionBuilds" holds the
+// outcome of each partition's build (null while building or canceled).
+
+const DEFAULT_PARTITION = 'default';
+
+// Helper: The partitions of a PR, sorted
+function partitionsOf(pr) {
+    const components = pr.Components && pr.Components.length > 0 ? pr.Components : [DEFAULT_PARTITION];
+    return [...new Set(components)].sort();
+}
+
+// Helper: The open batch for a set of partitions, created on first use
+function openBatchFor(sim, partitions) {
+    const key = partitions.join('+');
+    if (!sim.state.openBatches.has(key)) {
+        sim.state.openBatches.set(key, {
+            partitions: partitions,
+            prs: [],
+            prEntries: [],
+            fastBuildStatus: {}
+        });
+    }
+    return sim.state.openBatches.get(key);
+}
+
+// Helper: The open batch that holds a PR, if any
+function openBatchOf(sim, pr) {
+    for (const pending of sim.state.openBatches.values()) {
+        if (pending.prs.includes(pr)) return pending;
+    }
+    return null;
+}
+
+// Helper: Empty an open batch after it closed or was reset. A reset
+// batch keeps the entries of PRs rejected from it, so they are still
+// drawn.
+function clearOpenBatch(sim, pending, reset) {
+    sim.cancelBatchTimer(pending);
+    pending.prs = [];
+    pending.prEntries = reset ? pending.prEntries.filter(entry => entry.rejected) : [];
+    pending.fastBuildStatus = {};
+}
+
+// Helper: Add a PR to the open batch of its partitions
+function enqueue(sim, pr, currentTime) {
+    const pending = openBatchFor(sim, partitionsOf(pr));
+    if (sim.addToBatch(pr, currentTime, pending)) {
+        maybeClose(sim, pending, currentTime);
+    }
+}
+
+// Helper: Close an open batch when it is full or all of its fast builds
+// passed
+function maybeClose(sim, pending, currentTime) {
+    if (pending.prs.length >= sim.settings.maxBatchSize || sim.isCurrentBatchReady(pending)) {
+        closeBatch(sim, pending, currentTime);
+    }
+}
+
+// Helper: Close an open batch; its full builds start when it gets a
+// speculation slot (see engine.js)
+function closeBatch(sim, pending, currentTime) {
+    const batch = sim.openBatch(pending, currentTime);
+    batch.partitions = pending.partitions;
+    batch.partitionBuilds = {};
+    sim.startWhenSlotFree(batch, startTime => startPartitionBuilds(sim, batch, startTime), currentTime);
+
+    clearOpenBatch(sim, pending);
+}
+
+// Helper: Start the full build of a batch in every partition it touches
+function startPartitionBuilds(sim, batch, currentTime) {
+    // Each partition's build is on top of that partition's stack
+    const ahead = sim.state.activeBatches.slice(0, sim.state.activeBatches.indexOf(batch));
+    const builds = batch.partitions.map(partition => {
+        const stack = ahead
+            .filter(other => other.partitions.includes(partition))
+            .flatMap(other => other.prs);
+        return { partition: partition, fullBuild: sim.fullBuildFor(batch.prs, stack) };
+    });
+
+    batch.fullBuildTime = builds[0].fullBuild.duration;
+    batch.fullBuildPasses = builds.every(build => build.fullBuild.passes);
+    batch.FullBuildPasses = batch.fullBuildPasses; // For backwards compatibility
+    const conflicts = builds.flatMap(build => build.fullBuild.conflicts)
+        .filter((pair, i, all) => all.findIndex(other => other[0] === pair[0] && other[1] === pair[1]) === i);
+    if (conflicts.length > 0) {
+        batch.conflicts = conflicts;
+    }
+
+    for (const { partition, fullBuild } of builds) {
+        batch.partitionBuilds[partition] = null;
+        sim.requestBuild("full", fullBuild.duration, {
+            type: "Partition build completion",
+            batchId: batch.id,
+            partition: partition,
+            passed: fullBuild.passes,
+            flakeRate: fullBuild.flakeRate,
+            conflict: fullBuild.conflictFailure
+        }, currentTime, (startTime, waitTime, attempt) => {
+            // The first partition build to start starts the batch's build,
+            // and a rerun after a failure starts it again
+            if (batch.fullBuildStartTime === undefined || attempt > 0) {
+                batch.fullBuildStartTime = startTime;
+                batch.runnerWaitTime = (batch.runnerWaitTime || 0) + waitTime;
+            }
+        });
+    }
+}
+
+// Helper: All PRs queued behind a batch in its partitions: later active
+// batches that share a partition with it or with a batch already taken,
+// and the open batches of those partitions
+function prsBehind(sim, batch) {
+    const affected = new Set(batch.partitions);
+    const prs = [];
+    for (const other of sim.state.activeBatches) {
+        if (other.id > batch.id && other.partitions.some(partition => affected.has(partition))) {
+            prs.push(...other.prs);
+            other.partitions.forEach(partition => affected.add(partition));
+        }
+    }
+    for (const pending of sim.state.openBatches.values()) {
+        if (pending.partitions.some(partition => affected.has(partition))) {
+            prs.push(...pending.prs);
+        }
+    }
+    return prs;
+}
+
+// Helper: Take PRs out of the queue, clearing the open batches they wait in
+function takeOutOfQueue(sim, prs, currentTime) {
+    sim.takeOutOfQueue(prs, currentTime);
+
+    const prIds = new Set(prs.map(pr => pr.id));
+    for (const pending of sim.state.openBatches.values()) {
+        if (pending.prs.some(pr => prIds.has(pr.id))) {
+            clearOpenBatch(sim, pending, true);
+        }
+    }
+}
+
+// Helper: Take PRs out of the queue and rebatch them in their partitions
+function restack(sim, prs, currentTime) {
+    takeOutOfQueue(sim, prs, currentTime);
+
+    for (const pr of prs) {
+        enqueue(sim, pr, currentTime);
+    }
+}
+
+// Helper: Put a hotfix at the front of the stacks of its partitions,
+// behind the earlier hotfix batches. Its batch closes at once, without
+// waiting for its fast build, and the normal PRs queued in its
+// partitions (and, transitively, behind restacked cross-partition
+// batches) are restacked.
+function jumpQueue(sim, pr, currentTime) {
+    const partitions = partitionsOf(pr);
+    const affected = new Set(partitions);
+    const restacked = [];
+    for (const other of sim.state.activeBatches) {
+        if (!other.priority && other.partitions.some(partition => affected.has(partition))) {
+            restacked.push(...other.prs);
+            other.partitions.forEach(partition => affected.add(partition));
+        }
+    }
+    for (const pending of sim.state.openBatches.values()) {
+        if (pending.partitions.some(partition => affected.has(partition))) {
+            restacked.push(...pending.prs);
+        }
+    }
+
+    sim.recordQueueJump(pr, restacked, currentTime);
+    takeOutOfQueue(sim, restacked, currentTime);
+
+    // The hotfix gets a fresh open batch; if it is rejected for a merge
+    // conflict, its entry goes to the open batch of its partitions
+    const pending = {
+        partitions: partitions,
+        prs: [],
+        prEntries: [],
+        fastBuildStatus: {}
+    };
+    if (sim.addToBatch(pr, currentTime, pending)) {
+        closeBatch(sim, pending, currentTime);
+        sim.activeBatchOf(pr).priority = true;
+    } else {
+        openBatchFor(sim, partitions).prEntries.push(...pending.prEntries);
+    }
+
+    for (const other of restacked) {
+        enqueue(sim, other, currentTime);
+    }
+}
+
+const partitionedStrategy = {
+    id: 'partitioned',
+    name: 'Partitioned',
+    options: [
+        { id: 'priorityJump', label: 'Hotfixes jump the queue (1 = yes)', default: 0 }
+    ],
+
+    onStart(sim) {
+        sim.state.openBatches = new Map(); // partitions key -> open batch
+    },
+
+    onPRQueued(sim, pr, currentTime) {
+        if (sim.settings.priorityJump && sim.isHighPriority(pr)) {
+            jumpQueue(sim, pr, currentTime);
+        } else {
+            enqueue(sim, pr, currentTime);
+        }
+    },
+
+    // The current batch is never used; open batches close in maybeClose
+    shouldCloseBatch(sim, currentTime) {
+        return false;
+    },
+
+    onFastBuildDone(sim, pr, passed, currentTime) {
+        const pending = openBatchOf(sim, pr);
+        if (pending) {
+            pending.fastBuildStatus[pr.id] = {
+                completed: true,
+                passed: passed
+            };
+        }
+
+        if (passed) {
+            if (pending) {
+                maybeClose(sim, pending, currentTime);
+            }
+            return;
+        }
+
+        // Fast build failed - mark PR as evicted
+        sim.evict(pr, currentTime, "Fast build failed");
+
+        const activeBatch = sim.activeBatchOf(pr);
+        if (pending) {
+            // Failed before its batch closed - just remove it
+            pending.prs = pending.prs.filter(p => p.id !== pr.id);
+            delete pending.fastBuildStatus[pr.id];
+        } else if (activeBatch) {
+            // Failed after its batch closed - rebatch the rest of the
+            // batch and the PRs behind it in its partitions
+            activeBatch.status = 'failed';
+            activeBatch.failedTime = currentTime;
+
+            const prsToRebatch = activeBatch.prs.filter(p => p.id !== pr.id);
+            prsToRebatch.push(...prsBehind(sim, activeBatch));
+            restack(sim, prsToRebatch, currentTime);
+
+            // A batch holding only the failed PR has nothing to rebatch,
+            // so the restack did not cancel it
+            if (sim.findActiveBatch(activeBatch.id)) {
+                sim.cancelBatch(activeBatch, currentTime);
+            }
+        }
+    },
+
+    // Called once the partition builds of a batch decided its outcome
+    onFullBuildDone(sim, batch, passed, currentTime) {
+        if (passed) {
+            sim.mergeBatch(batch, currentTime);
+            return;
+        }
+
+        // Failure - mark batch and evict all PRs
+        sim.failBatch(batch, currentTime);
+
+        for (const pr of batch.prs) {
+            sim.evict(pr, currentTime, "Full build failed");
+        }
+
+        // Evicted PRs no longer need their fast builds
+        const evictedIds = new Set(batch.prs.map(pr => pr.id));
+        sim.cancelBuilds(e => e.type === "Fast build completion" && evictedIds.has(e.prId), currentTime);
+
+        // Rebatch everything behind this batch in its partitions
+        restack(sim, prsBehind(sim, batch), currentTime);
+    },
+
+    onEvent(sim, event, currentTime) {
+        // The batching policy timer of an open batch expired
+        if (event.type === "Batch timer") {
+            maybeClose(sim, event.pending, currentTime);
+            return;
+        }
+        if (event.type !== "Partition build completion") return;
+
+        const batch = sim.findActiveBatch(event.batchId);
+        if (!batch) return; // Already canceled
+
+        batch.partitionBuilds[event.partition] = event.passed;
+        if (event.passed && Object.values(batch.partitionBuilds).includes(null)) {
+            return; // Other partitions still building
+        }
+        if (!event.passed) {
+            sim.cancelBuilds(e => e.type === "Partition build completion" && e.batchId === batch.id, currentTime);
+        }
+
+        batch.buildCompleteTime = currentTime;
+        partitionedStrategy.onFullBuildDone(sim, batch, event.passed, currentTime);
+    },
+
+    onEnd(sim, currentTime) {
+        for (const pending of sim.state.openBatches.values()) {
+            if (pending.prs.length > 0 || pending.prEntries.some(entry => entry.rejected)) {
+                sim.recordIncompleteBatch(pending).partitions = pending.partitions;
+            }
+        }
+    }
+};
+
+export { partitionedStrategy };
@@ -0,0 +1,49 @@
+/**
+ * Seedable pseudo-random number generator
+ * Every random draw in the simulator goes through one of these so a
+ * scenario can be reproduced exactly from its seed
+ */
+
+/**
+ * Picks a fresh seed for when the user did not provide one
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function randomSeed() {
+	return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Derives the seed of an independent stream of draws from a scenario
+ * seed, so that draws for one purpose neither correlate with nor shift
+ * the draws for another
+ * @param {number} seed - Integer seed of the scenario
+ * @param {string} stream - Name of the stream, such as "flakes"
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function streamSeed(seed, stream) {
+	// FNV-1a hash of the name, mixed into the seed by the murmur3 finalizer
+	let hash = 0x811C9DC5;
+	for (let i = 0; i < stream.length; i++) {
+		hash = Math.imul(hash ^ stream.charCodeAt(i), 0x01000193);
+	}
+	let x = (seed ^ hash) >>> 0;
+	x = Math.imul(x ^ (x >>> 16), 0x85EBCA6B);
+	x = Math.imul(x ^ (x >>> 13), 0xC2B2AE35);
+	return (x ^ (x >>> 16)) >>> 0;
+}
+
+/**
+ * Creates a random number generator (mulberry32) for a seed
+ * @param {number} seed - Integer seed; the same seed yields the same sequence
+ * @returns {Function} Function returning a float in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+	let a = seed >>> 0;
+	return function () {
+		a = (a + 0x6D2B79F5) >>> 0;
+		let t = a;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
@@ -3,12 +3,38 @@
  * New design: row per batch, showing PR events, batch creation, and completion
  */
 
+/**
+ * Orders the batches into timeline rows. Batches of a partitioned queue
+ * (see partitioned.js) are grouped by their partitions, each group under
+ * a header row.
+ * @param {Array} batches - Array of batch objects
+ * @returns {Array} Rows: {batch, index} for a batch, where index is its
+ *     position in the batches, or {header} for a partition group
+ */
+function timelineRows(batches) {
+	const rows = batches.map((batch, index) => ({ batch: batch, index: index }));
+	if (!batches.some(batch => batch.partitions)) {
+		return rows;
+	}
+
+	const groups = new Map();
+	for (const row of rows) {
+		const key = (row.batch.partitions || []).join(' + ');
+		if (!groups.has(key)) {
+			groups.set(key, []);
+		}
+		groups.get(key).push(row);
+	}
+	return [...groups.keys()].sort().flatMap(key => [{ header: key }, ...groups.get(key)]);
+}
+
 /**
  * Calculates layout for row-per-batch visualization
  * @param {Array} batches - Array of batch objects
+ * @param {Array} rows - Timeline rows from timelineRows
  * @returns {Object} Layout information including dimensions
  */
-function calculateLayout(batches) {
+function calculateLayout(batches, rows) {
 	let maxTime = 0;
 
 	// Find the maximum time across all events
@@ -38,17 +64,72 @@ function calculateLayout(batches) {
 
 	return {
 		maxTime,
-		numRows: batches.length
+		numRows: rows.length
 	};
 }
 
+/**
+ * Draws a step chart of a value over time in a band of the canvas, or a
+ * line chart for series marked "linear"
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} series - Time series with label, color, linear, and points ({time, value})
+ * @param {Object} band - Band position: x, y, width, height, timeScale
+ */
+function drawTimeSeries(ctx, series, band) {
+	const points = series.points;
+	let maxValue = 0;
+	for (const point of points) {
+		if (point.value > maxValue) {
+			maxValue = point.value;
+		}
+	}
+	const valueScale = band.height / (maxValue || 1);
+	const toY = value => band.y + band.height - value * valueScale;
+
+	// Band frame and labels
+	ctx.strokeStyle = '#ddd';
+	ctx.lineWidth = 1;
+	ctx.strokeRect(band.x, band.y, band.width, band.height);
+
+	ctx.fillStyle = 'black';
+	ctx.font = '11px monospace';
+	ctx.textAlign = 'right';
+	ctx.fillText(series.label, band.x - 10, band.y + band.height / 2 + 3);
+	ctx.font = '9px sans-serif';
+	ctx.fillText(String(Math.round(maxValue * 100) / 100), band.x - 2, band.y + 8);
+	ctx.fillText('0', band.x - 2, band.y + band.height);
+
+	// Step line, holding the last value until the end of the band
+	ctx.strokeStyle = series.color || 'purple';
+	ctx.lineWidth = 2;
+	ctx.beginPath();
+	for (let i = 0; i < points.length; i++) {
+		const x = band.x + points[i].time * band.timeScale;
+		const y = toY(points[i].value);
+		if (i === 0) {
+			ctx.moveTo(x, y);
+		} else if (series.linear) {
+			ctx.lineTo(x, y);
+		} else {
+			ctx.lineTo(x, toY(points[i - 1].value));
+			ctx.lineTo(x, y);
+		}
+	}
+	if (points.length > 0 && !series.linear) {
+		ctx.lineTo(band.x + band.width, toY(points[points.length - 1].value));
+	}
+	ctx.stroke();
+}
+
 /**
  * Renders the queue visualization on a canvas
  * @param {HTMLCanvasElement} canvas - The canvas element to render on
- * @param {Array} batches - Array of batch objects with lifecycle events
+ * @param {Array} rows - Timeline rows (see timelineRows) of batch objects
+ *     with lifecycle events
  * @param {Object} layout - Layout information from calculateLayout
+ * @param {Array} timeSeries - Time series to chart below the batch rows
  */
-function renderToCanvas(canvas, batches, layout) {
+function renderToCanvas(canvas, rows, layout, timeSeries) {
 	const ctx = canvas.getContext('2d');
 	const { maxTime, numRows } = layout;
 
@@ -60,11 +141,12 @@ function renderToCanvas(canvas, batches, layout) {
 	const X_OFFSET = 80;
 	const Y_OFFSET = 20;
 	const MAX_CANVAS_WIDTH = 5000;
+	const SERIES_HEIGHT = 80;
 
 	// Calculate scaling
 	const availableWidth = MAX_CANVAS_WIDTH - (2 * X_OFFSET);
 	const TIME_SCALE = availableWidth / (maxTime || 1);
-	const requiredHeight = Y_OFFSET + numRows * ROW_HEIGHT + Y_OFFSET;
+	const requiredHeight = Y_OFFSET + numRows * ROW_HEIGHT + Y_OFFSET + timeSeries.length * SERIES_HEIGHT;
 	const requiredWidth = Math.min(MAX_CANVAS_WIDTH, (maxTime * TIME_SCALE) + (2 * X_OFFSET));
 
 	// Set canvas dimensions
@@ -86,9 +168,18 @@ function renderToCanvas(canvas, batches, layout) {
 	}
 
 	// Draw each batch in its row
-	for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-		const batch = batches[batchIndex];
-		const rowY = Y_OFFSET + batchIndex * ROW_HEIGHT + ROW_HEIGHT / 2;
+	for (let rowIndex = 0; rowIndex < rows.length; rowIndex++) {
+		const rowY = Y_OFFSET + rowIndex * ROW_HEIGHT + ROW_HEIGHT / 2;
+
+		// Partition header
+		if (rows[rowIndex].header !== undefined) {
+			ctx.fillStyle = 'black';
+			ctx.font = 'bold 11px sans-serif';
+			ctx.textAlign = 'left';
+			ctx.fillText(`Partition: ${rows[rowIndex].header}`, X_OFFSET + 5, rowY + 4);
+			continue;
+		}
+		const { batch, index: batchIndex } = rows[rowIndex];
 
 		// Draw batch label
 		ctx.fillStyle = 'black';
@@ -102,8 +193,11 @@ function renderToCanvas(canvas, batches, layout) {
 		for (const entry of prEntries) {
 			const x = X_OFFSET + entry.queueTime * TIME_SCALE;
 
-			// Use batch outcome to determine rendering
-			if (batch.status === 'success') {
+			// Use batch outcome to determine rendering; a PR rejected for a
+			// merge conflict never joined the batch, so it only gets its X
+			if (entry.rejected) {
+				// Only the eviction X below
+			} else if (batch.status === 'success') {
 				// Successful batch: black filled dot
 				ctx.fillStyle = 'black';
 				ctx.beginPath();
@@ -118,9 +212,9 @@ function renderToCanvas(canvas, batches, layout) {
 				ctx.stroke();
 			}
 
-			// If PR was evicted, draw gray X on top
+			// If PR was evicted, draw gray X on top (orange for a merge conflict)
 			if (entry.pr.evicted) {
-				ctx.strokeStyle = 'gray';
+				ctx.strokeStyle = entry.pr.evictedReason === 'Merge conflict' ? 'darkorange' : 'gray';
 				ctx.lineWidth = 2;
 				const xSize = PR_RADIUS + 2;
 				ctx.beginPath();
@@ -184,14 +278,28 @@ function renderToCanvas(canvas, batches, layout) {
 				ctx.stroke();
 			}
 
-			// Draw line from diamond to completion/cancellation marker
+			// Draw line from diamond to completion/cancellation marker. A
+			// batch that waited for a speculation slot gets a wait segment
+			// first; one canceled while pending only has the wait segment.
 			if (batch.batchCreateTime !== undefined) {
 				const diamondX = X_OFFSET + batch.batchCreateTime * TIME_SCALE;
+				let buildX = diamondX;
+				if (batch.waitedForSlot) {
+					const slotTime = batch.slotStartTime !== undefined ? batch.slotStartTime : completionTime;
+					buildX = X_OFFSET + slotTime * TIME_SCALE;
+					ctx.strokeStyle = 'mediumpurple';
+					ctx.lineWidth = 3;
+					ctx.beginPath();
+					ctx.moveTo(diamondX, rowY);
+					ctx.lineTo(buildX, rowY);
+					ctx.stroke();
+				}
+
 				ctx.strokeStyle = '#ccc';
 				ctx.lineWidth = 1;
 				ctx.setLineDash([5, 3]);
 				ctx.beginPath();
-				ctx.moveTo(diamondX, rowY);
+				ctx.moveTo(buildX, rowY);
 				ctx.lineTo(completeX, rowY);
 				ctx.stroke();
 				ctx.setLineDash([]);
@@ -199,6 +307,19 @@ function renderToCanvas(canvas, batches, layout) {
 		}
 	}
 
+	// Draw time series bands below the batch rows, on the same time axis
+	let bandY = Y_OFFSET + numRows * ROW_HEIGHT + Y_OFFSET;
+	for (const series of timeSeries) {
+		drawTimeSeries(ctx, series, {
+			x: X_OFFSET,
+			y: bandY,
+			width: canvas.width - 2 * X_OFFSET,
+			height: SERIES_HEIGHT - Y_OFFSET,
+			timeScale: TIME_SCALE
+		});
+		bandY += SERIES_HEIGHT;
+	}
+
 	// Draw legend
 	const legendX = canvas.width - 200;
 	const legendY = 15;
@@ -238,6 +359,17 @@ function renderToCanvas(canvas, batches, layout) {
 	ctx.fillText('PR evicted', legendX + 15, legendYOffset + 3);
 	legendYOffset += 16;
 
+	// PR rejected for a merge conflict
+	ctx.strokeStyle = 'darkorange';
+	ctx.beginPath();
+	ctx.moveTo(legendX - xSize, legendYOffset - xSize);
+	ctx.lineTo(legendX + xSize, legendYOffset + xSize);
+	ctx.moveTo(legendX + xSize, legendYOffset - xSize);
+	ctx.lineTo(legendX - xSize, legendYOffset + xSize);
+	ctx.stroke();
+	ctx.fillText('PR rejected (merge conflict)', legendX + 15, legendYOffset + 3);
+	legendYOffset += 16;
+
 	// Batch created
 	ctx.fillStyle = 'blue';
 	ctx.beginPath();
@@ -251,6 +383,16 @@ function renderToCanvas(canvas, batches, layout) {
 	ctx.fillText('Batch created', legendX + 15, legendYOffset + 3);
 	legendYOffset += 16;
 
+	// Waiting for a speculation slot
+	ctx.strokeStyle = 'mediumpurple';
+	ctx.lineWidth = 3;
+	ctx.beginPath();
+	ctx.moveTo(legendX - SQUARE_SIZE, legendYOffset);
+	ctx.lineTo(legendX + SQUARE_SIZE, legendYOffset);
+	ctx.stroke();
+	ctx.fillText('Waiting for a slot', legendX + 15, legendYOffset + 3);
+	legendYOffset += 16;
+
 	// Success
 	ctx.fillStyle = 'green';
 	ctx.fillRect(legendX - SQUARE_SIZE / 2, legendYOffset - SQUARE_SIZE / 2, SQUARE_SIZE, SQUARE_SIZE);
@@ -294,8 +436,168 @@ function renderToCanvas(canvas, batches, layout) {
  * Main entry point: renders the queue visualization
  * @param {HTMLCanvasElement} canvas - The canvas element to render on
  * @param {Array} batches - Array of batch objects with lifecycle events
+ * @param {Array} timeSeries - Optional time series ({label, color, linear,
+ *     points}) to chart below the batch rows, e.g. the adaptive batch size
+ *     limit or the branch staleness
+ */
+export function renderQueue(canvas, batches, timeSeries = []) {
+	const rows = timelineRows(batches);
+	const layout = calculateLayout(batches, rows);
+	renderToCanvas(canvas, rows, layout, timeSeries);
+}
+
+/**
+ * Renders a parameter sweep: one line chart per metric, all sharing the
+ * parameter values on the x-axis
+ * @param {HTMLCanvasElement} canvas - The canvas element to render on
+ * @param {string} parameterLabel - Name of the swept parameter
+ * @param {Array} points - Sweep points ({value, statistics})
+ * @param {Array} metrics - Metrics to chart ({key, label, time})
  */
-export function renderQueue(canvas, batches) {
-	const layout = calculateLayout(batches);
-	renderToCanvas(canvas, batches, layout);
+export function renderSweep(canvas, parameterLabel, points, metrics) {
+	const ctx = canvas.getContext('2d');
+
+	const X_OFFSET = 80;
+	const Y_OFFSET = 30;
+	const PANEL_HEIGHT = 140;
+	const PANEL_GAP = 40;
+	const POINT_RADIUS = 3;
+
+	canvas.width = 1200;
+	canvas.height = Y_OFFSET + metrics.length * (PANEL_HEIGHT + PANEL_GAP) + Y_OFFSET;
+	ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+	const width = canvas.width - X_OFFSET - 40;
+	const minParam = points.length > 0 ? points[0].value : 0;
+	const maxParam = points.length > 0 ? points[points.length - 1].value : 0;
+	const toX = value => X_OFFSET + (maxParam > minParam ? (value - minParam) / (maxParam - minParam) * width : width / 2);
+
+	// Time metrics are charted in minutes
+	const formatValue = (metric, value) => metric.time
+		? `${Math.round(value / 60 * 10) / 10}m`
+		: String(Math.round(value * 100) / 100);
+
+	let panelY = Y_OFFSET;
+	for (const metric of metrics) {
+		const values = points.map(point => point.statistics[metric.key]);
+		const maxValue = Math.max(0, ...values);
+		const toY = value => panelY + PANEL_HEIGHT - value / (maxValue || 1) * PANEL_HEIGHT;
+
+		// Panel frame and labels
+		ctx.strokeStyle = '#ddd';
+		ctx.lineWidth = 1;
+		ctx.strokeRect(X_OFFSET, panelY, width, PANEL_HEIGHT);
+
+		ctx.fillStyle = 'black';
+		ctx.font = '11px monospace';
+		ctx.textAlign = 'left';
+		ctx.fillText(metric.label, X_OFFSET, panelY - 6);
+		ctx.font = '9px sans-serif';
+		ctx.textAlign = 'right';
+		ctx.fillText(formatValue(metric, maxValue), X_OFFSET - 4, panelY + 8);
+		ctx.fillText('0', X_OFFSET - 4, panelY + PANEL_HEIGHT);
+
+		// Parameter values below the panel
+		ctx.textAlign = 'center';
+		for (const point of points) {
+			ctx.fillText(String(point.value), toX(point.value), panelY + PANEL_HEIGHT + 12);
+		}
+
+		// Line through the points
+		ctx.strokeStyle = 'steelblue';
+		ctx.lineWidth = 2;
+		ctx.beginPath();
+		points.forEach((point, i) => {
+			const x = toX(point.value);
+			const y = toY(values[i]);
+			if (i === 0) {
+				ctx.moveTo(x, y);
+			} else {
+				ctx.lineTo(x, y);
+			}
+		});
+		ctx.stroke();
+
+		ctx.fillStyle = 'steelblue';
+		points.forEach((point, i) => {
+			ctx.beginPath();
+			ctx.arc(toX(point.value), toY(values[i]), POINT_RADIUS, 0, 2 * Math.PI);
+			ctx.fill();
+		});
+
+		panelY += PANEL_HEIGHT + PANEL_GAP;
+	}
+
+	// Parameter name under the last panel
+	ctx.fillStyle = 'black';
+	ctx.font = '11px sans-serif';
+	ctx.textAlign = 'center';
+	ctx.fillText(parameterLabel, X_OFFSET + width / 2, panelY - PANEL_GAP + 26);
+}
+
+/**
+ * Renders the spread of one value across runs as a dot plot, with the
+ * mean and its confidence interval marked
+ * @param {HTMLCanvasElement} canvas - The canvas element to render on
+ * @param {string} label - Name of the value, shown under the axis
+ * @param {Array} values - One value per run, in seconds
+ * @param {Object} interval - Mean and confidence interval ({mean, low, high})
+ */
+export function renderSpread(canvas, label, values, interval) {
+	const ctx = canvas.getContext('2d');
+
+	const X_OFFSET = 80;
+	const DOT_RADIUS = 4;
+	const AXIS_Y = 130;
+
+	canvas.width = 1200;
+	canvas.height = AXIS_Y + 40;
+	ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+	const width = canvas.width - 2 * X_OFFSET;
+	const minValue = Math.min(...values, interval.low);
+	const maxValue = Math.max(...values, interval.high);
+	const range = maxValue - minValue;
+	const toX = value => X_OFFSET + (range > 0 ? (value - minValue) / range * width : width / 2);
+	const formatMinutes = seconds => `${Math.round(seconds / 60 * 10) / 10}m`;
+
+	// Confidence interval band and mean line
+	ctx.fillStyle = '#e8f4f8';
+	ctx.fillRect(toX(interval.low), 10, Math.max(1, toX(interval.high) - toX(interval.low)), AXIS_Y - 10);
+	ctx.strokeStyle = 'steelblue';
+	ctx.lineWidth = 2;
+	ctx.beginPath();
+	ctx.moveTo(toX(interval.mean), 10);
+	ctx.lineTo(toX(interval.mean), AXIS_Y);
+	ctx.stroke();
+
+	// Axis with the range
+	ctx.strokeStyle = 'black';
+	ctx.lineWidth = 1;
+	ctx.beginPath();
+	ctx.moveTo(X_OFFSET, AXIS_Y);
+	ctx.lineTo(X_OFFSET + width, AXIS_Y);
+	ctx.stroke();
+
+	ctx.fillStyle = 'black';
+	ctx.font = '9px sans-serif';
+	ctx.textAlign = 'center';
+	ctx.fillText(formatMinutes(minValue), X_OFFSET, AXIS_Y + 12);
+	ctx.fillText(formatMinutes(maxValue), X_OFFSET + width, AXIS_Y + 12);
+	ctx.fillText(`mean ${formatMinutes(interval.mean)}`, toX(interval.mean), AXIS_Y + 12);
+	ctx.font = '11px sans-serif';
+	ctx.fillText(label, X_OFFSET + width / 2, AXIS_Y + 30);
+
+	// One dot per run, stacked where runs land close together
+	const stacks = new Map();
+	ctx.fillStyle = 'black';
+	for (const value of values) {
+		const column = Math.round(toX(value) / (2 * DOT_RADIUS));
+		const height = stacks.get(column) || 0;
+		stacks.set(column, height + 1);
+
+		ctx.beginPath();
+		ctx.arc(column * 2 * DOT_RADIUS, AXIS_Y - DOT_RADIUS - height * 2 * DOT_RADIUS, DOT_RADIUS, 0, 2 * Math.PI);
+		ctx.fill();
+	}
 }
@@ -0,0 +1,155 @@
+//
+// Javascript for the serial merge queue strategy.
+//
+// A control for the speculative strategies: it tests one batch at a
+// time, on top of the real target branch. The next batch closes only
+// after the previous one merged or failed, so no build ever runs on top
+// of an unmerged batch, and a failure never cancels the builds of the
+// batches behind it.
+//
+// * PRs join the current batch as they arrive and get their fast builds
+//   right away. A full current batch takes no more PRs; later PRs wait
+//   in "waitingPRs" (in the simulation state) for a later batch.
+//
+// * The current batch closes when no batch is building and all of its
+//   fast builds passed.
+//
+// * A failed full build evicts the whole batch, as in the simple
+//   strategy, and the next batch starts. A fast build that fails after
+//   its batch closed cancels that batch. Its other PRs go back to the
+//   front of the waiting PRs, followed by the PRs of the current batch,
+//   which were queued after them.
+//
+// * With the "priorityJump" option, a hotfix jumps ahead of the PRs that
+//   wait, behind earlier hotfixes only, and gets a batch of its own. The
+//   PRs of the current batch go back to waiting behind it. The batch
+//   being built is left alone, since nothing is built on top of it; the
+//   hotfix batch closes once it is done, without waiting for the
+//   hotfix's fast build.
+//
+// Run it next to the simple strategy on the same input to see what
+// speculation buys in waiting time and what it costs in canceled builds.
+
+// Helper: Whether a PR is a hotfix that jumps the queue
+function jumps(sim, pr) {
+    return Boolean(sim.settings.priorityJump) && sim.isHighPriority(pr);
+}
+
+// Helper: Move waiting PRs into the current batch while it has room. A
+// hotfix that jumps the queue gets a batch of its own.
+function fillCurrentBatch(sim, currentTime) {
+    const state = sim.state;
+    while (state.waitingPRs.length > 0 && state.currentBatch.prs.length < sim.settings.maxBatchSize) {
+        const pending = state.currentBatch;
+        const hotfix = jumps(sim, state.waitingPRs[0]);
+        if (pending.prs.length > 0 && (hotfix || pending.priority)) break;
+
+        pending.priority = hotfix;
+        sim.addToCurrentBatch(state.waitingPRs.shift(), currentTime);
+    }
+}
+
+// Helper: Put PRs back in front of the waiting PRs, in order, behind
+// the hotfixes that jump the queue
+function requeue(sim, prs) {
+    const waiting = [...prs, ...sim.state.waitingPRs];
+    sim.state.waitingPRs = [
+        ...waiting.filter(pr => jumps(sim, pr)),
+        ...waiting.filter(pr => !jumps(sim, pr))
+    ];
+}
+
+// Helper: Let a hotfix jump ahead of the waiting PRs; the normal PRs of
+// the current batch go back to waiting behind it
+function jumpQueue(sim, pr, currentTime) {
+    const state = sim.state;
+    const restacked = state.currentBatch.priority ? [] : [...state.currentBatch.prs];
+
+    sim.recordQueueJump(pr, restacked, currentTime);
+    sim.takeOutOfQueue(restacked, currentTime);
+    state.waitingPRs.push(pr);
+    requeue(sim, restacked);
+}
+
+// Helper: Close the current batch if the queue is idle, then refill it
+function advance(sim, currentTime) {
+    sim.maybeCloseBatch(currentTime);
+    fillCurrentBatch(sim, currentTime);
+}
+
+const serialStrategy = {
+    id: 'serial',
+    name: 'Serial (no speculation)',
+    options: [
+        { id: 'priorityJump', label: 'Hotfixes jump the queue (1 = yes)', default: 0 }
+    ],
+
+    onStart(sim) {
+        sim.state.waitingPRs = []; // Queued PRs not in a batch yet
+    },
+
+    onPRQueued(sim, pr, currentTime) {
+        if (jumps(sim, pr)) {
+            jumpQueue(sim, pr, currentTime);
+            advance(sim, currentTime);
+        } else {
+            sim.state.waitingPRs.push(pr);
+            fillCurrentBatch(sim, currentTime);
+        }
+    },
+
+    // Close only when no batch is building and all fast builds passed (or
+    // at once for a hotfix batch)
+    shouldCloseBatch(sim, currentTime) {
+        const state = sim.state;
+        return state.activeBatches.length === 0 && (Boolean(state.currentBatch.priority) || sim.isCurrentBatchReady());
+    },
+
+    onFastBuildDone(sim, pr, passed, currentTime) {
+        const state = sim.state;
+
+        if (passed) {
+            advance(sim, currentTime);
+            return;
+        }
+
+        // Fast build failed - mark PR as evicted
+        sim.evict(pr, currentTime, "Fast build failed");
+
+        const activeBatch = sim.activeBatchOf(pr);
+        if (activeBatch) {
+            // Failed after its batch closed - nothing is built on top of
+            // the batch, so only the batch itself is canceled. Its other
+            // PRs were queued before those of the current batch, which
+            // go back to waiting behind them.
+            sim.cancelBatch(activeBatch, currentTime);
+            const current = [...state.currentBatch.prs];
+            sim.takeOutOfQueue(current, currentTime);
+            requeue(sim, [...activeBatch.prs.filter(p => p.id !== pr.id), ...current]);
+        } else if (state.currentBatch.prs.some(p => p.id === pr.id)) {
+            // Failed before its batch closed - just remove it
+            state.currentBatch.prs = state.currentBatch.prs.filter(p => p.id !== pr.id);
+            delete state.currentBatch.fastBuildStatus[pr.id];
+        }
+
+        advance(sim, currentTime);
+    },
+
+    onFullBuildDone(sim, batch, passed, currentTime) {
+        if (passed) {
+            sim.mergeBatch(batch, currentTime);
+        } else {
+            // Failure - mark batch and evict all PRs
+            sim.failBatch(batch, currentTime);
+            for (const pr of batch.prs) {
+                sim.evict(pr, currentTime, "Full build failed");
+            }
+        }
+
+        // The branch moved on or stayed put; either way the next batch
+        // can start
+        advance(sim, currentTime);
+    }
+};
+
+export { serialStrategy };
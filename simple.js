@@ -43,600 +43,96 @@
 //   rebuilt from that point on. All ongoing builds after that point are
 //   canceled, which includes short and long builds.
 //
-// This implementation takes the list of PR merge queue events and
-// outputs an object with the following member lists:
+// With the "priorityJump" option, a hotfix (a PR with priority "high")
+// does not join the current batch. It jumps the queue instead: it gets a
+// batch of its own at the front of the speculative stack, and the normal
+// PRs queued are restacked behind it (see jumpQueue in engine.js).
 //
-// * Commits: The list of commits that were created.
-// * Builds: The list of builds that were run (short and long).
-// * Evictions: The list of commits or batches that were evicted from the
-//              queue.
-//
-// A commit has an identifier string, a list of parent identifier
-// strings (one for PR commits, two for merge commits), a commit time,
-// a nullable time that specifies if and when it was merged, and a
-// nullable time that specifies if and when it was evicted.
-//
-// At the end, we have some statistics to track:
-//
-// 1. Merge time for each PR. From that, we can deduce the "wait time".
-//
-// 2. Concurrent build capacity, summed by short and long builds.
-//
-// More statistics will be tracked as we investigate.
-//
-// We can generate a few interesting charts from these statistics and the
-// list of "events" that are output:
-//
-// * Number of PRs ejected per time period.
-// * Maximum queue size per time period.
-// * Build resources consumed per time period.
-// * ...
-//
-// More will be expanded as we implement things.
-//
-// Risks to reality: There is nothing in this schedule that accounts for
-// build capacity. If we rebuild the merge queue, then all builds start
-// at the exact same time, allowing us to flush the queue a lot faster
-// than reality would allow.
-
-function simulateSimpleStrategy(pullRequests, maxBatchSize)
-{
-    // Add IDs to pull requests
-    for (let i = 0; i < pullRequests.length; i++) {
-        pullRequests[i].id = i;
-    }
-
-    // Priority queue with removal capability
-    let nextEventId = 0;
-    const eventQueue = {
-        items: [],
-
-        insert: function(time, event) {
-            event.eventId = nextEventId++;
-            this.items.push({ key: time, value: event });
-            this.items.sort((a, b) => a.key - b.key);
-        },
-
-        removeMin: function() {
-            if (this.items.length === 0) return null;
-            return this.items.shift().value;
-        },
-
-        removeMatching: function(predicate) {
-            const removed = [];
-            this.items = this.items.filter(item => {
-                if (predicate(item.value)) {
-                    removed.push(item.value);
-                    return false;
-                }
-                return true;
-            });
-            return removed;
-        },
-
-        isEmpty: function() {
-            return this.items.length === 0;
-        },
-
-        size: function() {
-            return this.items.length;
-        }
-    };
-
-    // Initialize with PR commit events
-    for (const pr of pullRequests) {
-        eventQueue.insert(pr.queuetime, {
-            time: pr.queuetime,
-            type: "PR commit",
-            prId: pr.id
-        });
-    }
-
-    // Simulation state
-    let nextBatchId = 0;
-    const state = {
-        currentBatch: {
-            prs: [],
-            prEntries: [], // {pr, queueTime, isRequeued}
-            fastBuildStatus: {} // prId -> {completed, passed}
-        },
-        activeBatches: [], // Batches with full builds running
-        prMap: {}, // id -> pr object
-        prAppearances: {} // prId -> count (to detect requeues)
-    };
-
-    // Initialize PR map and appearance tracking
-    for (const pr of pullRequests) {
-        state.prMap[pr.id] = pr;
-        state.prAppearances[pr.id] = 0;
-    }
-
-    // Result tracking
-    const result = {
-        batches: [], // All batches (successful, failed, canceled)
-        pullRequests: [], // For backwards compatibility - successful batches only
-        Commits: [],
-        Builds: [],
-        Evictions: []
-    };
-
-    // Helper: Check if current batch is ready to close
-    function isCurrentBatchReady() {
-        if (state.currentBatch.prs.length === 0) return false;
-
-        for (const pr of state.currentBatch.prs) {
-            const status = state.currentBatch.fastBuildStatus[pr.id];
-            if (!status || !status.completed || !status.passed) {
-                return false;
-            }
-        }
-        return true;
-    }
-
-    // Helper: Close current batch
-    function closeCurrentBatch(currentTime) {
-        if (state.currentBatch.prs.length === 0) return;
-
-        const batchId = nextBatchId++;
-        const batch = {
-            id: batchId,
-            rowNumber: nextBatchId - 1, // Row in visualization
-            prs: [...state.currentBatch.prs],
-            prEntries: [...state.currentBatch.prEntries], // Detailed PR entry info
-            pullRequests: [...state.currentBatch.prs], // For backwards compatibility
-            batchCreateTime: currentTime,
-            startTime: currentTime, // For backwards compatibility
-            status: 'building' // Will be updated to 'success', 'failed', or 'canceled'
-        };
-
-        // Calculate full build parameters
-        let maxFullBuildTime = 0;
-        let allPass = true;
-        for (const pr of batch.prs) {
-            if (pr.FullBuildTime > maxFullBuildTime) {
-                maxFullBuildTime = pr.FullBuildTime;
-            }
-            if (!pr.FullBuildPasses) {
-                allPass = false;
-            }
-        }
-
-        batch.fullBuildTime = maxFullBuildTime;
-        batch.fullBuildPasses = allPass;
-        batch.FullBuildPasses = allPass; // For backwards compatibility
-
-        // Add to active batches and results
-        state.activeBatches.push(batch);
-        result.batches.push(batch);
-
-        // Schedule full build completion
-        const fullBuildEndTime = currentTime + maxFullBuildTime;
-        eventQueue.insert(fullBuildEndTime, {
-            time: fullBuildEndTime,
-            type: "Full build completion",
-            batchId: batchId,
-            passed: allPass
-        });
-
-        // Reset current batch
-        state.currentBatch = {
-            prs: [],
-            prEntries: [],
-            fastBuildStatus: {}
-        };
-    }
-
-    // Helper: Reset queue from a list of PRs
-    function resetQueue(prsToRebatch, currentTime) {
-        // Cancel all builds for these PRs
-        const prIds = new Set(prsToRebatch.map(pr => pr.id));
-
-        // Remove fast build events
-        const removed = eventQueue.removeMatching(event => {
-            if (event.type === "Fast build completion" && prIds.has(event.prId)) {
-                return true;
-            }
-            if (event.type === "Full build completion") {
-                const batch = state.activeBatches.find(b => b.id === event.batchId);
-                if (batch && batch.prs.some(pr => prIds.has(pr.id))) {
-                    return true;
-                }
-            }
-            return false;
-        });
-
-        // Log canceled builds
-        for (const event of removed) {
-            result.Builds.push({
-                type: event.type === "Fast build completion" ? "fast" : "full",
-                status: "canceled",
-                time: currentTime
-            });
-        }
-
-        // Mark affected batches as canceled and remove from active batches
-        state.activeBatches = state.activeBatches.filter(batch => {
-            if (batch.prs.some(pr => prIds.has(pr.id))) {
-                batch.status = 'canceled';
-                batch.canceledTime = currentTime;
-                return false;
-            }
-            return true;
-        });
-
-        // Clear current batch if it contains affected PRs
-        if (state.currentBatch.prs.some(pr => prIds.has(pr.id))) {
-            state.currentBatch = {
-                prs: [],
-                prEntries: [],
-                fastBuildStatus: {}
-            };
-        }
-
-        // Re-batch PRs
-        for (const pr of prsToRebatch) {
-            // Check if this PR has appeared before (requeue)
-            const isRequeued = state.prAppearances[pr.id] > 0;
-            state.prAppearances[pr.id]++;
-
-            // Add to current batch
-            state.currentBatch.prs.push(pr);
-            state.currentBatch.prEntries.push({
-                pr: pr,
-                queueTime: pr.queuetime, // Original queue time (never changes)
-                isRequeued: isRequeued
-            });
-            state.currentBatch.fastBuildStatus[pr.id] = {
-                completed: false,
-                passed: false
-            };
-
-            // Start fast build
-            const fastBuildEndTime = currentTime + pr.FastBuildTime;
-            eventQueue.insert(fastBuildEndTime, {
-                time: fastBuildEndTime,
-                type: "Fast build completion",
-                prId: pr.id,
-                passed: pr.FastBuildPasses
-            });
-
-            // Check if batch is full
-            if (state.currentBatch.prs.length >= maxBatchSize) {
-                closeCurrentBatch(currentTime);
-            }
-        }
-    }
+// The event queue, build runners, result lists and statistics are shared
+// by all strategies and live in engine.js and statistics.js. This module
+// only holds the simple strategy's hooks.
 
-    // Main event loop
-    while (!eventQueue.isEmpty()) {
-        const event = eventQueue.removeMin();
-        const currentTime = event.time;
+import { simulate } from './engine.js';
 
-        if (event.type === "PR commit") {
-            const pr = state.prMap[event.prId];
+const simpleStrategy = {
+    id: 'simple',
+    name: 'Simple',
+    options: [
+        { id: 'priorityJump', label: 'Hotfixes jump the queue (1 = yes)', default: 0 }
+    ],
 
-            // Check if this PR has appeared before (should be first time here)
-            const isRequeued = state.prAppearances[pr.id] > 0;
-            state.prAppearances[pr.id]++;
-
-            // Add to current batch
-            state.currentBatch.prs.push(pr);
-            state.currentBatch.prEntries.push({
-                pr: pr,
-                queueTime: pr.queuetime, // Original queue time (never changes)
-                isRequeued: isRequeued
-            });
-            state.currentBatch.fastBuildStatus[pr.id] = {
-                completed: false,
-                passed: false
-            };
-
-            // Start fast build
-            const fastBuildEndTime = currentTime + pr.FastBuildTime;
-            eventQueue.insert(fastBuildEndTime, {
-                time: fastBuildEndTime,
-                type: "Fast build completion",
-                prId: pr.id,
-                passed: pr.FastBuildPasses
-            });
-
-            // Check if batch is full
-            if (state.currentBatch.prs.length >= maxBatchSize) {
-                closeCurrentBatch(currentTime);
-            }
-        }
-        else if (event.type === "Fast build completion") {
-            const pr = state.prMap[event.prId];
-
-            // Update status
-            if (state.currentBatch.fastBuildStatus[pr.id]) {
-                state.currentBatch.fastBuildStatus[pr.id] = {
-                    completed: true,
-                    passed: event.passed
-                };
-            }
-
-            if (!event.passed) {
-                // Fast build failed - mark PR as evicted
-                pr.evicted = true;
-                pr.evictedTime = currentTime;
-                pr.evictedReason = "Fast build failed";
-
-                result.Evictions.push({
-                    prId: pr.id,
-                    time: currentTime,
-                    reason: "Fast build failed"
-                });
-
-                // Find if PR is in current batch or an active batch
-                const isInCurrentBatch = state.currentBatch.prs.some(p => p.id === pr.id);
-                const activeBatch = state.activeBatches.find(b => b.prs.some(p => p.id === pr.id));
-
-                if (isInCurrentBatch && !activeBatch) {
-                    // Case 1: Failed before batch closed - just remove it
-                    state.currentBatch.prs = state.currentBatch.prs.filter(p => p.id !== pr.id);
-                    delete state.currentBatch.fastBuildStatus[pr.id];
-                } else if (activeBatch) {
-                    // Case 2: Failed after batch closed - mark batch as failed and reset queue
-                    activeBatch.status = 'failed';
-                    activeBatch.failedTime = currentTime;
-
-                    const prsToRebatch = [];
-
-                    // Collect all PRs from this batch (except the failed one)
-                    for (const p of activeBatch.prs) {
-                        if (p.id !== pr.id) {
-                            prsToRebatch.push(p);
-                        }
-                    }
-
-                    // Collect PRs from later batches
-                    for (const batch of state.activeBatches) {
-                        if (batch.id > activeBatch.id) {
-                            prsToRebatch.push(...batch.prs);
-                        }
-                    }
-
-                    // Collect PRs from current batch
-                    prsToRebatch.push(...state.currentBatch.prs);
-
-                    resetQueue(prsToRebatch, currentTime);
-                }
-            } else {
-                // Fast build passed - check if batch is ready
-                if (isCurrentBatchReady()) {
-                    closeCurrentBatch(currentTime);
-                }
-            }
-        }
-        else if (event.type === "Full build completion") {
-            const batch = state.activeBatches.find(b => b.id === event.batchId);
-            if (!batch) continue; // Already canceled
-
-            batch.buildCompleteTime = currentTime;
-
-            if (event.passed) {
-                // Success - branch update
-                batch.status = 'success';
-                batch.completedTime = currentTime; // For backwards compatibility
-
-                // Add to pullRequests for backwards compatibility with renderer
-                result.pullRequests.push(batch);
-
-                // Remove from active batches
-                state.activeBatches = state.activeBatches.filter(b => b.id !== event.batchId);
-            } else {
-                // Failure - mark batch and evict all PRs
-                batch.status = 'failed';
-                batch.failedTime = currentTime; // For backwards compatibility
-
-                for (const pr of batch.prs) {
-                    pr.evicted = true;
-                    pr.evictedTime = currentTime;
-                    pr.evictedReason = "Full build failed";
-
-                    result.Evictions.push({
-                        prId: pr.id,
-                        time: currentTime,
-                        reason: "Full build failed"
-                    });
-                }
-
-                // Collect PRs to rebatch (everything after this batch)
-                const prsToRebatch = [];
-                for (const b of state.activeBatches) {
-                    if (b.id > event.batchId) {
-                        prsToRebatch.push(...b.prs);
-                    }
-                }
-                prsToRebatch.push(...state.currentBatch.prs);
-
-                resetQueue(prsToRebatch, currentTime);
-            }
-        }
-    }
-
-    // Handle any remaining PRs in currentBatch at end of simulation
-    if (state.currentBatch.prs.length > 0) {
-        const batchId = nextBatchId++;
-        const batch = {
-            id: batchId,
-            rowNumber: nextBatchId - 1,
-            prs: [...state.currentBatch.prs],
-            prEntries: [...state.currentBatch.prEntries],
-            pullRequests: [...state.currentBatch.prs],
-            batchCreateTime: undefined, // Not closed, so no batch create time
-            startTime: undefined,
-            status: 'incomplete' // Special status for incomplete batches
-        };
-        result.batches.push(batch);
-    }
-
-    // Calculate statistics
-    result.statistics = calculateStatistics(result);
-
-    return result;
-}
-
-function calculateStatistics(result) {
-    const stats = {
-        mergedPRs: 0,
-        evictedPRs: result.Evictions.length,
-        fairlyEvictedPRs: 0,
-        unfairlyEvictedPRs: 0,
-        queuedBuilds: 0,
-        canceledBuilds: 0,
-        waitingTimes: [],
-        evictionTimes: []
-    };
-
-    // Count fairly vs unfairly evicted PRs
-    for (const eviction of result.Evictions) {
-        if (eviction.reason === "Fast build failed") {
-            // Fast build failure: we know this PR caused the failure
-            stats.fairlyEvictedPRs++;
-        } else if (eviction.reason === "Full build failed") {
-            // Full build failure: we don't know which PR in the batch caused it
-            stats.unfairlyEvictedPRs++;
+    onPRQueued(sim, pr, currentTime) {
+        if (sim.settings.priorityJump && sim.isHighPriority(pr)) {
+            sim.jumpQueue(pr, currentTime);
+        } else {
+            sim.addToCurrentBatch(pr, currentTime);
         }
-    }
+    },
 
-    // Count merged PRs and collect waiting times
-    for (const batch of result.batches) {
-        if (batch.status === 'success') {
-            stats.mergedPRs += batch.prs.length;
-
-            // Calculate waiting time for each PR in this batch
-            for (const pr of batch.prs) {
-                const waitingTime = batch.completedTime - pr.queuetime;
-                stats.waitingTimes.push(waitingTime);
-            }
-        }
-    }
-
-    // Collect eviction times (eviction time - original queue time)
-    for (const eviction of result.Evictions) {
-        // Find the PR by ID to get its original queue time
-        const prId = eviction.prId;
-        let pr = null;
-
-        // Search through all batches to find the PR
-        for (const batch of result.batches) {
-            pr = batch.prs.find(p => p.id === prId);
-            if (pr) break;
-        }
+    // Close when the batch is full or all of its fast builds passed
+    shouldCloseBatch(sim, currentTime) {
+        const batch = sim.state.currentBatch;
+        return batch.prs.length >= sim.settings.maxBatchSize || sim.isCurrentBatchReady();
+    },
 
-        if (pr && pr.queuetime !== undefined && eviction.time !== undefined) {
-            const evictionTime = eviction.time - pr.queuetime;
-            stats.evictionTimes.push(evictionTime);
-        }
-    }
+    onFastBuildDone(sim, pr, passed, currentTime) {
+        const state = sim.state;
 
-    // Count builds
-    // Every PR that enters a batch gets a fast build
-    for (const batch of result.batches) {
-        if (batch.status !== 'incomplete') {
-            stats.queuedBuilds += batch.prs.length; // Fast builds
-            stats.queuedBuilds += 1; // Full build for the batch
+        if (passed) {
+            // Fast build passed - check if batch is ready
+            sim.maybeCloseBatch(currentTime);
+            return;
         }
-    }
 
-    // Count canceled builds
-    stats.canceledBuilds = result.Builds.filter(b => b.status === 'canceled').length;
+        // Fast build failed - mark PR as evicted
+        sim.evict(pr, currentTime, "Fast build failed");
 
-    // Calculate waiting time statistics
-    if (stats.waitingTimes.length > 0) {
-        stats.waitingTimes.sort((a, b) => a - b);
+        // Find if PR is in current batch or an active batch
+        const isInCurrentBatch = state.currentBatch.prs.some(p => p.id === pr.id);
+        const activeBatch = sim.activeBatchOf(pr);
 
-        const median = stats.waitingTimes[Math.floor(stats.waitingTimes.length / 2)];
-        const p80Index = Math.floor(stats.waitingTimes.length * 0.8);
-        const p80 = stats.waitingTimes[p80Index];
-        const max = stats.waitingTimes[stats.waitingTimes.length - 1];
+        if (isInCurrentBatch && !activeBatch) {
+            // Case 1: Failed before batch closed - just remove it
+            state.currentBatch.prs = state.currentBatch.prs.filter(p => p.id !== pr.id);
+            delete state.currentBatch.fastBuildStatus[pr.id];
+        } else if (activeBatch) {
+            // Case 2: Failed after batch closed - mark batch as failed and reset queue
+            activeBatch.status = 'failed';
+            activeBatch.failedTime = currentTime;
 
-        stats.waitingTimeMedian = median;
-        stats.waitingTimeP80 = p80;
-        stats.waitingTimeMax = max;
-    } else {
-        stats.waitingTimeMedian = 0;
-        stats.waitingTimeP80 = 0;
-        stats.waitingTimeMax = 0;
-    }
+            // Collect all PRs from this batch (except the failed one), then
+            // PRs from later batches and the current batch
+            const prsToRebatch = activeBatch.prs.filter(p => p.id !== pr.id);
+            prsToRebatch.push(...sim.prsAfter(activeBatch));
 
-    // Calculate eviction time statistics
-    if (stats.evictionTimes.length > 0) {
-        stats.evictionTimes.sort((a, b) => a - b);
-
-        const median = stats.evictionTimes[Math.floor(stats.evictionTimes.length / 2)];
-        const p80Index = Math.floor(stats.evictionTimes.length * 0.8);
-        const p80 = stats.evictionTimes[p80Index];
-        const max = stats.evictionTimes[stats.evictionTimes.length - 1];
-
-        stats.evictionTimeMedian = median;
-        stats.evictionTimeP80 = p80;
-        stats.evictionTimeMax = max;
-    } else {
-        stats.evictionTimeMedian = 0;
-        stats.evictionTimeP80 = 0;
-        stats.evictionTimeMax = 0;
-    }
-
-    // Calculate branch staleness statistics
-    // Staleness = time since last branch update
-    const branchUpdateTimes = [];
-    for (const batch of result.batches) {
-        if (batch.status === 'success' && batch.completedTime !== undefined) {
-            branchUpdateTimes.push(batch.completedTime);
+            sim.resetQueue(prsToRebatch, currentTime);
         }
-    }
-    branchUpdateTimes.sort((a, b) => a - b);
+    },
 
-    if (branchUpdateTimes.length > 0) {
-        // Find max simulation time
-        let maxSimTime = 0;
-        for (const batch of result.batches) {
-            if (batch.buildCompleteTime && batch.buildCompleteTime > maxSimTime) {
-                maxSimTime = batch.buildCompleteTime;
-            }
-            if (batch.canceledTime && batch.canceledTime > maxSimTime) {
-                maxSimTime = batch.canceledTime;
-            }
+    onFullBuildDone(sim, batch, passed, currentTime) {
+        if (passed) {
+            // Success - branch update
+            sim.mergeBatch(batch, currentTime);
+            return;
         }
 
-        // Sample staleness every second
-        const stalenessSamples = [];
-        for (let t = 0; t <= maxSimTime; t++) {
-            // Find the most recent update before time t
-            let lastUpdateTime = 0;
-            for (const updateTime of branchUpdateTimes) {
-                if (updateTime <= t) {
-                    lastUpdateTime = updateTime;
-                } else {
-                    break;
-                }
-            }
+        // Failure - mark batch and evict all PRs. The failed batch stays
+        // among the active batches, as it always has.
+        sim.failBatch(batch, currentTime, true);
 
-            const staleness = t - lastUpdateTime;
-            stalenessSamples.push(staleness);
+        for (const pr of batch.prs) {
+            sim.evict(pr, currentTime, "Full build failed");
         }
 
-        // Calculate percentiles
-        stalenessSamples.sort((a, b) => a - b);
-
-        const median = stalenessSamples[Math.floor(stalenessSamples.length / 2)];
-        const p80Index = Math.floor(stalenessSamples.length * 0.8);
-        const p80 = stalenessSamples[p80Index];
-        const max = stalenessSamples[stalenessSamples.length - 1];
-
-        stats.stalenessMedian = median;
-        stats.stalenessP80 = p80;
-        stats.stalenessMax = max;
-    } else {
-        stats.stalenessMedian = 0;
-        stats.stalenessP80 = 0;
-        stats.stalenessMax = 0;
+        // Rebatch everything after this batch
+        sim.resetQueue(sim.prsAfter(batch), currentTime);
     }
+};
 
-    return stats;
+// Kept for callers that predate the strategy registry
+function simulateSimpleStrategy(pullRequests, maxBatchSize, options = {})
+{
+    return simulate(pullRequests, simpleStrategy, { ...options, maxBatchSize: maxBatchSize });
 }
 
-export { simulateSimpleStrategy };
\ No newline at end of file
+export { simpleStrategy, simulateSimpleStrategy };
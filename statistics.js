@@ -0,0 +1,512 @@
+//
+// Javascript for the merge queue simulation statistics.
+//
+// These are computed from the result lists of a simulation run (see
+// engine.js), so they apply to every strategy.
+//
+
+// Every single-number statistic, in display order. "better" says which
+// direction is an improvement ("lower" or "higher"); statistics without
+// it are neither. Time statistics are in seconds and cost statistics in
+// the currency of the runner costs. Statistics marked "optional" are only
+// there when their option is on. "decimals" is the number of decimals to
+// show for a statistic that is not a whole number.
+const statisticMetrics = [
+    { key: 'mergedPRs', label: 'Merged Pull Requests', better: 'higher' },
+    { key: 'evictedPRs', label: 'Evicted Pull Requests', better: 'lower' },
+    { key: 'fairlyEvictedPRs', label: 'Fairly Evicted' },
+    { key: 'unfairlyEvictedPRs', label: 'Unfairly Evicted', better: 'lower' },
+    { key: 'genuineEvictedPRs', label: 'Evicted by Genuine Failures' },
+    { key: 'flakyEvictedPRs', label: 'Evicted by Flaky Failures', better: 'lower' },
+    { key: 'conflictEvictedPRs', label: 'Evicted by Semantic Conflicts' },
+    { key: 'mergeConflictEvictedPRs', label: 'Evicted by Merge Conflicts' },
+    { key: 'conflictFailedBuilds', label: 'Builds Failed by Semantic Conflicts' },
+    { key: 'queuedBuilds', label: 'Queued Builds', better: 'lower' },
+    { key: 'fullBuilds', label: 'Full Builds (Closed Batches)', better: 'lower' },
+    { key: 'batchSizeMean', label: 'Batch Size (Average)', decimals: 1 },
+    { key: 'canceledBuilds', label: 'Canceled Builds', better: 'lower' },
+    { key: 'bisectionBuilds', label: 'Bisection Builds', better: 'lower' },
+    { key: 'retryBuilds', label: 'Retry Builds', better: 'lower' },
+    { key: 'retryBuildTime', label: 'Retry Build Time', time: true, better: 'lower' },
+    { key: 'buildTime', label: 'Build Time', time: true, better: 'lower' },
+    { key: 'wastedBuildTime', label: 'Wasted Build Time', time: true, better: 'lower' },
+    { key: 'buildCost', label: 'Build Cost', cost: true, better: 'lower' },
+    { key: 'wastedBuildCost', label: 'Wasted Build Cost', cost: true, better: 'lower' },
+    { key: 'costPerMergedPR', label: 'Cost per Merged PR', cost: true, better: 'lower' },
+    { key: 'waitingTimeMedian', label: 'Waiting Time (Median)', time: true, better: 'lower' },
+    { key: 'waitingTimeP80', label: 'Waiting Time (80th Percentile)', time: true, better: 'lower' },
+    { key: 'waitingTimeMax', label: 'Waiting Time (Maximum)', time: true, better: 'lower' },
+    { key: 'highPriorityWaitingTimeMedian', label: 'Hotfix Waiting Time (Median)', time: true, better: 'lower' },
+    { key: 'normalPriorityWaitingTimeMedian', label: 'Normal PR Waiting Time (Median)', time: true, better: 'lower' },
+    { key: 'queueJumps', label: 'Queue Jumps' },
+    { key: 'jumpRestackedPRs', label: 'PRs Restacked by Queue Jumps', better: 'lower' },
+    { key: 'jumpDelay', label: 'Delay from Queue Jumps', time: true, better: 'lower' },
+    { key: 'evictionTimeMedian', label: 'Time to Eviction (Median)', time: true, better: 'lower' },
+    { key: 'evictionTimeP80', label: 'Time to Eviction (80th Percentile)', time: true, better: 'lower' },
+    { key: 'evictionTimeMax', label: 'Time to Eviction (Maximum)', time: true, better: 'lower' },
+    { key: 'isolationTimeMedian', label: 'Failure Isolation Time (Median)', time: true, better: 'lower' },
+    { key: 'isolationTimeP80', label: 'Failure Isolation Time (80th Percentile)', time: true, better: 'lower' },
+    { key: 'isolationTimeMax', label: 'Failure Isolation Time (Maximum)', time: true, better: 'lower' },
+    { key: 'runnerWaitTimeMedian', label: 'Runner Wait (Median)', time: true, better: 'lower' },
+    { key: 'runnerWaitTimeP80', label: 'Runner Wait (80th Percentile)', time: true, better: 'lower' },
+    { key: 'runnerWaitTimeMax', label: 'Runner Wait (Maximum)', time: true, better: 'lower' },
+    { key: 'slotWaitTimeMedian', label: 'Speculation Slot Wait (Median)', time: true, better: 'lower' },
+    { key: 'slotWaitTimeP80', label: 'Speculation Slot Wait (80th Percentile)', time: true, better: 'lower' },
+    { key: 'slotWaitTimeMax', label: 'Speculation Slot Wait (Maximum)', time: true, better: 'lower' },
+    { key: 'stalenessMedian', label: 'Branch Staleness (Median)', time: true, better: 'lower' },
+    { key: 'stalenessP80', label: 'Branch Staleness (80th Percentile)', time: true, better: 'lower' },
+    { key: 'stalenessMax', label: 'Branch Staleness (Maximum)', time: true, better: 'lower' },
+    { key: 'prStalenessMedian', label: 'PR Base Staleness (Median)', time: true, better: 'lower', optional: true },
+    { key: 'prStalenessP80', label: 'PR Base Staleness (80th Percentile)', time: true, better: 'lower', optional: true },
+    { key: 'prStalenessMax', label: 'PR Base Staleness (Maximum)', time: true, better: 'lower', optional: true },
+    { key: 'prMergesBehindMedian', label: 'Merges Behind PR Base (Median)', better: 'lower', optional: true },
+    { key: 'prMergesBehindP80', label: 'Merges Behind PR Base (80th Percentile)', better: 'lower', optional: true },
+    { key: 'prMergesBehindMax', label: 'Merges Behind PR Base (Maximum)', better: 'lower', optional: true }
+];
+
+// Sorts the values in place and returns their median, 80th percentile
+// and maximum (all zero if there are no values).
+function summarize(values) {
+    if (values.length === 0) {
+        return { median: 0, p80: 0, max: 0 };
+    }
+
+    values.sort((a, b) => a - b);
+
+    return {
+        median: values[Math.floor(values.length / 2)],
+        p80: values[Math.floor(values.length * 0.8)],
+        max: values[values.length - 1]
+    };
+}
+
+// Time-weighted percentile of branch staleness. Staleness rises from 0
+// to the interval length between consecutive branch updates, so over all
+// intervals the share of time with staleness at most s is
+// (sum of min(s, length)) / total time. This solves that for s, rounded
+// to whole seconds like the other times. The interval lengths must be
+// sorted in ascending order.
+function stalenessPercentile(lengths, total, p) {
+    const target = p * total;
+    let shorter = 0; // Sum of the lengths below the current one
+    for (let i = 0; i < lengths.length; i++) {
+        // Time with staleness at most lengths[i]
+        const covered = shorter + lengths[i] * (lengths.length - i);
+        if (covered >= target) {
+            return Math.round((target - shorter) / (lengths.length - i));
+        }
+        shorter += lengths[i];
+    }
+    return lengths.length > 0 ? lengths[lengths.length - 1] : 0;
+}
+
+// Exact branch staleness from the sorted branch update times up to the
+// end time: time-weighted median, 80th percentile and maximum, and the
+// staleness over time as {time, value} points (linear between points)
+function branchStaleness(updateTimes, endTime) {
+    const lengths = [];
+    const series = [{ time: 0, value: 0 }];
+    let lastUpdateTime = 0;
+    for (const updateTime of updateTimes) {
+        lengths.push(updateTime - lastUpdateTime);
+        series.push({ time: updateTime, value: updateTime - lastUpdateTime });
+        series.push({ time: updateTime, value: 0 });
+        lastUpdateTime = updateTime;
+    }
+    if (endTime > lastUpdateTime) {
+        lengths.push(endTime - lastUpdateTime);
+        series.push({ time: endTime, value: endTime - lastUpdateTime });
+    }
+
+    if (updateTimes.length === 0 || endTime <= 0) {
+        return { median: 0, p80: 0, max: 0, series: [] };
+    }
+
+    lengths.sort((a, b) => a - b);
+    return {
+        median: stalenessPercentile(lengths, endTime, 0.5),
+        p80: stalenessPercentile(lengths, endTime, 0.8),
+        max: lengths[lengths.length - 1],
+        series: series
+    };
+}
+
+// Helper: Number of sorted update times at or before the time
+function updatesUntil(updateTimes, time) {
+    let low = 0;
+    let high = updateTimes.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (updateTimes[middle] <= time) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+// How far main had moved on from a PR's base (main when the PR was
+// queued) by the time the PR was tested: the time between the last
+// branch updates before each, and the number of updates in between
+function prStaleness(updateTimes, queueTime, testTime) {
+    const atQueue = updatesUntil(updateTimes, queueTime);
+    const atTest = updatesUntil(updateTimes, testTime);
+    const baseTime = atQueue > 0 ? updateTimes[atQueue - 1] : 0;
+    const mainTime = atTest > 0 ? updateTimes[atTest - 1] : 0;
+    return { time: mainTime - baseTime, merges: atTest - atQueue };
+}
+
+// Computes the statistics of a simulation result. Options:
+// * prStaleness: Also measure staleness per merged PR (see prStaleness).
+// * costs: Runner cost per minute of build time, {fast, full}.
+function calculateStatistics(result, options = {}) {
+    const stats = {
+        mergedPRs: 0,
+        evictedPRs: result.Evictions.length,
+        fairlyEvictedPRs: 0,
+        unfairlyEvictedPRs: 0,
+        genuineEvictedPRs: 0,
+        flakyEvictedPRs: 0,
+        conflictEvictedPRs: 0,
+        mergeConflictEvictedPRs: 0,
+        conflictFailedBuilds: result.Builds.filter(build => build.conflict).length,
+        queuedBuilds: 0,
+        fullBuilds: 0,
+        canceledBuilds: 0,
+        bisectionBuilds: (result.Bisections || []).length,
+        retryBuilds: result.Retries.length,
+        retryBuildTime: 0,
+        waitingTimes: [],
+        evictionTimes: [],
+        isolationTimes: [],
+        runnerWaitTimes: result.RunnerWaits.map(wait => wait.waitTime),
+        slotWaitTimes: result.batches.filter(batch => batch.slotWaitTime !== undefined).map(batch => batch.slotWaitTime),
+        runnerUtilization: {} // pool name -> utilization summary
+    };
+
+    // Count fairly vs unfairly evicted PRs
+    for (const eviction of result.Evictions) {
+        if (eviction.reason === "Fast build failed") {
+            // Fast build failure: we know this PR caused the failure
+            stats.fairlyEvictedPRs++;
+        } else if (eviction.reason === "Isolated by bisection") {
+            // Bisection narrowed the failure down to this PR alone
+            stats.fairlyEvictedPRs++;
+        } else if (eviction.reason === "Merge conflict") {
+            // The PR could not be merged on top of the queue
+            stats.fairlyEvictedPRs++;
+        } else if (eviction.reason === "Full build failed") {
+            // Full build failure: we don't know which PR in the batch caused it
+            stats.unfairlyEvictedPRs++;
+        }
+    }
+
+    // Count evictions caused by genuine failures vs flaky failures that
+    // exhausted their retries vs semantic conflicts between PRs vs merge
+    // conflicts, which no build was needed for
+    for (const eviction of result.Evictions) {
+        if (eviction.reason === "Merge conflict") {
+            stats.mergeConflictEvictedPRs++;
+        } else if (eviction.flaky) {
+            stats.flakyEvictedPRs++;
+        } else if (eviction.conflict) {
+            stats.conflictEvictedPRs++;
+        } else {
+            stats.genuineEvictedPRs++;
+        }
+    }
+
+    // Sum the build time spent on retries
+    for (const retry of result.Retries) {
+        stats.retryBuildTime += retry.endTime - retry.startTime;
+    }
+
+    // Count merged PRs and collect waiting times
+    for (const batch of result.batches) {
+        if (batch.status === 'success') {
+            stats.mergedPRs += batch.prs.length;
+
+            // Calculate waiting time for each PR in this batch
+            for (const pr of batch.prs) {
+                const waitingTime = batch.completedTime - pr.queuetime;
+                stats.waitingTimes.push(waitingTime);
+            }
+        }
+    }
+
+    // Collect eviction times (eviction time - original queue time).
+    // PRs rejected for a merge conflict are only in a batch's entries.
+    const prById = new Map();
+    for (const batch of result.batches) {
+        for (const entry of batch.prEntries || []) {
+            if (entry.rejected) {
+                prById.set(entry.pr.id, entry.pr);
+            }
+        }
+        for (const pr of batch.prs) {
+            prById.set(pr.id, pr);
+        }
+    }
+    for (const eviction of result.Evictions) {
+        // Find the PR by ID to get its original queue time
+        const pr = prById.get(eviction.prId);
+
+        if (pr && pr.queuetime !== undefined && eviction.time !== undefined) {
+            const evictionTime = eviction.time - pr.queuetime;
+            stats.evictionTimes.push(evictionTime);
+        }
+    }
+
+    // Count builds
+    // Every PR that enters a batch gets a fast build
+    let closedBatches = 0;
+    let closedBatchPRs = 0;
+    for (const batch of result.batches) {
+        if (batch.status !== 'incomplete') {
+            stats.queuedBuilds += batch.prs.length; // Fast builds
+            stats.fullBuilds += batch.partitions ? batch.partitions.length : 1; // Full build for the batch, one per partition
+            closedBatches++;
+            closedBatchPRs += batch.prs.length;
+        }
+    }
+    stats.queuedBuilds += stats.fullBuilds;
+    stats.batchSizeMean = closedBatches > 0 ? closedBatchPRs / closedBatches : 0;
+
+    // Bisection builds and retries run on top of the queued builds
+    stats.queuedBuilds += stats.bisectionBuilds;
+    stats.queuedBuilds += stats.retryBuilds;
+
+    // Count canceled builds
+    stats.canceledBuilds = result.Builds.filter(b => b.status === 'canceled').length;
+
+    // Sum the build time and its cost. Work done by canceled builds and
+    // by passed builds whose result was discarded is wasted.
+    const costs = options.costs || {};
+    stats.buildTime = 0;
+    stats.wastedBuildTime = 0;
+    stats.buildCost = 0;
+    stats.wastedBuildCost = 0;
+    for (const build of result.Builds) {
+        const cost = build.duration / 60 * (costs[build.type] || 0);
+        stats.buildTime += build.duration;
+        stats.buildCost += cost;
+        if (build.status === 'canceled' || build.discarded) {
+            stats.wastedBuildTime += build.duration;
+            stats.wastedBuildCost += cost;
+        }
+    }
+    stats.costPerMergedPR = stats.mergedPRs > 0 ? stats.buildCost / stats.mergedPRs : 0;
+
+    // Collect isolation times (failed full build to last culprit found)
+    for (const batch of result.batches) {
+        if (batch.isolatedTime !== undefined) {
+            stats.isolationTimes.push(batch.isolatedTime - batch.failedTime);
+        }
+    }
+
+    // Break arrivals and waiting times down by the hour of the day the PRs
+    // were queued in (time 0 is midnight), to compare peak and off-hours
+    const hourlyWaits = Array.from({ length: 24 }, () => []);
+    stats.byHourOfDay = Array.from({ length: 24 }, (_, hour) => ({ hour: hour, arrivals: 0, merged: 0 }));
+    for (const commit of result.Commits) {
+        stats.byHourOfDay[Math.floor(commit.time / 3600) % 24].arrivals++;
+    }
+    for (const batch of result.batches) {
+        if (batch.status !== 'success') continue;
+        for (const pr of batch.prs) {
+            hourlyWaits[Math.floor(pr.queuetime / 3600) % 24].push(batch.completedTime - pr.queuetime);
+        }
+    }
+    for (const hour of stats.byHourOfDay) {
+        const waiting = summarize(hourlyWaits[hour.hour]);
+        hour.merged = hourlyWaits[hour.hour].length;
+        hour.waitingTimeMedian = waiting.median;
+        hour.waitingTimeP80 = waiting.p80;
+    }
+
+    // Break waiting times down by priority class, and sum up what the
+    // hotfixes that jumped the queue cost the normal PRs behind them
+    stats.byPriority = ['high', 'normal'].map(priority => ({ priority: priority, merged: 0 }));
+    const priorityWaits = { high: [], normal: [] };
+    for (const batch of result.batches) {
+        if (batch.status !== 'success') continue;
+        for (const pr of batch.prs) {
+            priorityWaits[pr.Priority === 'high' ? 'high' : 'normal'].push(batch.completedTime - pr.queuetime);
+        }
+    }
+    for (const priorityClass of stats.byPriority) {
+        const waits = summarize(priorityWaits[priorityClass.priority]);
+        priorityClass.merged = priorityWaits[priorityClass.priority].length;
+        priorityClass.waitingTimeMedian = waits.median;
+        priorityClass.waitingTimeP80 = waits.p80;
+        priorityClass.waitingTimeMax = waits.max;
+    }
+    stats.highPriorityWaitingTimeMedian = stats.byPriority[0].waitingTimeMedian;
+    stats.normalPriorityWaitingTimeMedian = stats.byPriority[1].waitingTimeMedian;
+
+    const jumps = result.QueueJumps || [];
+    stats.queueJumps = jumps.length;
+    stats.jumpRestackedPRs = 0;
+    stats.jumpDelay = 0;
+    for (const jump of jumps) {
+        stats.jumpRestackedPRs += jump.restackedPrIds.length;
+        stats.jumpDelay += jump.delay;
+    }
+
+    // Break batches, merges, evictions and waiting times down by
+    // partition, for strategies that partition the queue (see
+    // partitioned.js). A PR counts in every partition it touches.
+    const partitionedBatches = result.batches.filter(batch => batch.partitions);
+    if (partitionedBatches.length > 0) {
+        const partitions = new Map();
+        const partitionNamed = name => {
+            if (!partitions.has(name)) {
+                partitions.set(name, { partition: name, batches: 0, canceledBatches: 0, merged: 0, evicted: 0, waits: [] });
+            }
+            return partitions.get(name);
+        };
+        const partitionsByPR = new Map();
+        for (const batch of partitionedBatches) {
+            for (const entry of batch.prEntries) {
+                partitionsByPR.set(entry.pr.id, batch.partitions);
+            }
+            for (const name of batch.partitions) {
+                const partition = partitionNamed(name);
+                if (batch.status !== 'incomplete') partition.batches++;
+                if (batch.status === 'canceled') partition.canceledBatches++;
+                if (batch.status === 'success') {
+                    partition.merged += batch.prs.length;
+                    partition.waits.push(...batch.prs.map(pr => batch.completedTime - pr.queuetime));
+                }
+            }
+        }
+        for (const eviction of result.Evictions) {
+            for (const name of partitionsByPR.get(eviction.prId) || []) {
+                partitionNamed(name).evicted++;
+            }
+        }
+        stats.byPartition = [...partitions.values()]
+            .sort((a, b) => a.partition.localeCompare(b.partition))
+            .map(({ waits, ...partition }) => {
+                const partitionWaiting = summarize(waits);
+                return { ...partition, waitingTimeMedian: partitionWaiting.median, waitingTimeP80: partitionWaiting.p80 };
+            });
+    }
+
+    // Calculate waiting time statistics
+    const waiting = summarize(stats.waitingTimes);
+    stats.waitingTimeMedian = waiting.median;
+    stats.waitingTimeP80 = waiting.p80;
+    stats.waitingTimeMax = waiting.max;
+
+    // Calculate eviction time statistics
+    const eviction = summarize(stats.evictionTimes);
+    stats.evictionTimeMedian = eviction.median;
+    stats.evictionTimeP80 = eviction.p80;
+    stats.evictionTimeMax = eviction.max;
+
+    // Calculate isolation time statistics
+    const isolation = summarize(stats.isolationTimes);
+    stats.isolationTimeMedian = isolation.median;
+    stats.isolationTimeP80 = isolation.p80;
+    stats.isolationTimeMax = isolation.max;
+
+    // Calculate runner wait time statistics
+    const runnerWait = summarize(stats.runnerWaitTimes);
+    stats.runnerWaitTimeMedian = runnerWait.median;
+    stats.runnerWaitTimeP80 = runnerWait.p80;
+    stats.runnerWaitTimeMax = runnerWait.max;
+
+    // Calculate speculation slot wait statistics (batches that waited only)
+    const slotWait = summarize(stats.slotWaitTimes);
+    stats.slotWaitTimeMedian = slotWait.median;
+    stats.slotWaitTimeP80 = slotWait.p80;
+    stats.slotWaitTimeMax = slotWait.max;
+
+    // Calculate time-weighted runner utilization for each pool
+    let runnerEndTime = 0;
+    for (const sample of result.RunnerUtilization) {
+        if (sample.time > runnerEndTime) {
+            runnerEndTime = sample.time;
+        }
+    }
+    for (const [pool, capacity] of Object.entries(result.RunnerPools)) {
+        const samples = result.RunnerUtilization.filter(sample => sample.pool === pool);
+        let busyTime = 0;
+        let peakBusy = 0;
+        let peakWaiting = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const nextTime = i + 1 < samples.length ? samples[i + 1].time : runnerEndTime;
+            busyTime += samples[i].busy * (nextTime - samples[i].time);
+            peakBusy = Math.max(peakBusy, samples[i].busy);
+            peakWaiting = Math.max(peakWaiting, samples[i].waiting);
+        }
+
+        const averageBusy = runnerEndTime > 0 ? busyTime / runnerEndTime : 0;
+        stats.runnerUtilization[pool] = {
+            capacity: capacity,
+            averageBusy: averageBusy,
+            peakBusy: peakBusy,
+            peakWaiting: peakWaiting,
+            utilization: capacity ? averageBusy / capacity : null
+        };
+    }
+
+    // Calculate branch staleness statistics
+    // Staleness = time since last branch update
+    const branchUpdateTimes = [];
+    for (const batch of result.batches) {
+        if (batch.status === 'success' && batch.completedTime !== undefined) {
+            branchUpdateTimes.push(batch.completedTime);
+        }
+    }
+    branchUpdateTimes.sort((a, b) => a - b);
+
+    // Find max simulation time
+    let maxSimTime = 0;
+    for (const batch of result.batches) {
+        if (batch.buildCompleteTime && batch.buildCompleteTime > maxSimTime) {
+            maxSimTime = batch.buildCompleteTime;
+        }
+        if (batch.canceledTime && batch.canceledTime > maxSimTime) {
+            maxSimTime = batch.canceledTime;
+        }
+    }
+
+    const staleness = branchStaleness(branchUpdateTimes, maxSimTime);
+    stats.stalenessMedian = staleness.median;
+    stats.stalenessP80 = staleness.p80;
+    stats.stalenessMax = staleness.max;
+    stats.stalenessOverTime = staleness.series;
+
+    // Optionally measure how far main had moved on from each merged PR's
+    // base by the time the PR was tested
+    if (options.prStaleness) {
+        stats.prStalenessTimes = [];
+        stats.prMergesBehind = [];
+        for (const batch of result.batches) {
+            if (batch.status !== 'success') continue;
+
+            for (const pr of batch.prs) {
+                const behind = prStaleness(branchUpdateTimes, pr.queuetime, batch.fullBuildStartTime);
+                stats.prStalenessTimes.push(behind.time);
+                stats.prMergesBehind.push(behind.merges);
+            }
+        }
+
+        const prTimes = summarize(stats.prStalenessTimes);
+        stats.prStalenessMedian = prTimes.median;
+        stats.prStalenessP80 = prTimes.p80;
+        stats.prStalenessMax = prTimes.max;
+
+        const prMerges = summarize(stats.prMergesBehind);
+        stats.prMergesBehindMedian = prMerges.median;
+        stats.prMergesBehindP80 = prMerges.p80;
+        stats.prMergesBehindMax = prMerges.max;
+    }
+
+    return stats;
+}
+
+export { calculateStatistics, summarize, statisticMetrics };
@@ -0,0 +1,60 @@
+//
+// Javascript for the merge queue strategy registry.
+//
+// Every strategy registered here shows up in the strategy dropdown and
+// can be run by id. To add a strategy, write a module that exports a
+// strategy object (see the hooks described in engine.js) and register
+// it below, or call registerStrategy() from your own code before the UI
+// is initialized.
+
+import { simulate } from './engine.js';
+import { simpleStrategy } from './simple.js';
+import { bisectStrategy } from './bisect.js';
+import { adaptiveStrategy } from './adaptive.js';
+import { partitionedStrategy } from './partitioned.js';
+import { serialStrategy } from './serial.js';
+
+const registry = new Map();
+
+function registerStrategy(strategy)
+{
+    if (registry.has(strategy.id)) {
+        throw new Error(`Strategy "${strategy.id}" is already registered`);
+    }
+    registry.set(strategy.id, strategy);
+}
+
+function getStrategy(id)
+{
+    const strategy = registry.get(id);
+    if (!strategy) {
+        throw new Error(`Unknown strategy "${id}"`);
+    }
+    return strategy;
+}
+
+function listStrategies()
+{
+    return [...registry.values()];
+}
+
+// Runs the strategy with the given id. The settings hold maxBatchSize,
+// the build runner configuration and any strategy options; options that
+// are not given take the strategy's defaults.
+function simulateStrategy(id, pullRequests, settings)
+{
+    const strategy = getStrategy(id);
+    const defaults = {};
+    for (const option of strategy.options || []) {
+        defaults[option.id] = option.default;
+    }
+    return simulate(pullRequests, strategy, { ...defaults, ...settings });
+}
+
+registerStrategy(simpleStrategy);
+registerStrategy(bisectStrategy);
+registerStrategy(adaptiveStrategy);
+registerStrategy(partitionedStrategy);
+registerStrategy(serialStrategy);
+
+export { registerStrategy, getStrategy, listStrategies, simulateStrategy };
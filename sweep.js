@@ -0,0 +1,62 @@
+//
+// Javascript for sweeping a queue parameter across a range of values.
+//
+// The strategy runs once per parameter value on its own copy of the same
+// pull requests, with all other settings fixed, and the statistics that
+// matter for picking the value are collected per run. The parameter is
+// any numeric setting: "maxBatchSize", "retries", "speculationDepth" or a
+// strategy option.
+//
+
+import { simulateStrategy } from './strategies.js';
+import { statisticMetrics } from './statistics.js';
+
+// The statistics plotted against the parameter, in chart and table
+// order (see statisticMetrics)
+const sweepMetrics = [
+    'waitingTimeMedian',
+    'waitingTimeP80',
+    'evictedPRs',
+    'canceledBuilds',
+    'stalenessMedian'
+].map(key => statisticMetrics.find(metric => metric.key === key));
+
+// The values from "from" to "to" (inclusive) in steps of "step"
+function sweepValues(from, to, step) {
+    if (!(step > 0)) {
+        throw new Error('The sweep step must be greater than zero');
+    }
+    if (from > to) {
+        throw new Error('The sweep range must not end before it starts');
+    }
+
+    // Count the steps instead of adding them up, so fractional steps
+    // don't accumulate rounding errors
+    const values = [];
+    const count = Math.floor((to - from) / step + 1e-9);
+    for (let i = 0; i <= count; i++) {
+        values.push(parseFloat((from + i * step).toPrecision(12)));
+    }
+    return values;
+}
+
+// Runs the strategy once per value of the parameter on a fresh copy of
+// the pull requests. Returns one {value, statistics} point per value.
+function runSweep(pullRequests, strategyId, settings, parameter, values) {
+    return values.map(value => {
+        const prs = pullRequests.map(pr => ({ ...pr }));
+        const result = simulateStrategy(strategyId, prs, { ...settings, [parameter]: value });
+        return { value: value, statistics: result.statistics };
+    });
+}
+
+// The sweep points as CSV, one line per value. Times are in seconds.
+function sweepToCSV(parameter, points) {
+    const lines = [[parameter, ...sweepMetrics.map(metric => metric.key)].join(',')];
+    for (const point of points) {
+        lines.push([point.value, ...sweepMetrics.map(metric => point.statistics[metric.key])].join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+export { sweepMetrics, sweepValues, runSweep, sweepToCSV };
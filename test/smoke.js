@@ -0,0 +1,769 @@
+//
+// Smoke test for the merge queue simulator, run with "npm test".
+//
+// Runs cli.js on seeded scenarios and checks the results: the exact
+// statistics of each strategy (so a change in behavior shows up here and
+// has to be accepted by updating the expected values), and the rules each
+// feature has to keep: batch timers, speculation slots, runner pools,
+// retries, conflicts, canceled builds, the importer and the validator.
+// The modules behind the statistics, the generator, the importer, the
+// validator and Monte Carlo runs are also checked directly on small
+// hand-made inputs.
+//
+
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRandom, streamSeed } from '../random.js';
+import { generatePullRequests, generateScenario } from '../generator.js';
+import { calculateStatistics } from '../statistics.js';
+import { arrivalPresets, createArrivalSampler, parseBursts } from '../arrivals.js';
+import { createBuildTimeSampler, parseDurations } from '../distributions.js';
+import { guessMapping, importPullRequests, parseRecords } from '../importer.js';
+import { describeIssue, resolveErrors, validatePullRequests } from '../validator.js';
+import { confidenceInterval, runMonteCarlo } from '../montecarlo.js';
+import { simulateStrategy } from '../strategies.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const scratch = mkdtempSync(join(tmpdir(), 'merge-queue-smoke-'));
+
+const NUM_PRS = 150;
+const base = ['--generate', '--num-prs', String(NUM_PRS), '--seed', '42', '--build-success-rate-full', '85'];
+
+// Generator settings for the checks that call generatePullRequests()
+const generatorConfig = { numPRs: 200, prsPerHour: 10, buildSpeedFast: 300, buildSuccessRateFast: 95, buildSpeedVarianceFast: 100, buildSpeedFull: 900, buildSuccessRateFull: 85, buildSpeedVarianceFull: 300, seed: 7 };
+
+// Helper: Run cli.js and return {status, stdout, stderr}
+function cli(args) {
+    return spawnSync(process.execPath, [join(root, 'cli.js'), ...args], {
+        cwd: scratch,
+        encoding: 'utf8',
+        maxBuffer: 256 * 1024 * 1024
+    });
+}
+
+// Helper: Run cli.js and read its JSON result
+function simulate(args) {
+    const output = join(scratch, 'result.json');
+    const run = cli([...args, '--output', output]);
+    assert.equal(run.status, 0, `cli.js ${args.join(' ')} failed:\n${run.stderr}`);
+    return { ...JSON.parse(readFileSync(output, 'utf8')), stderr: run.stderr, args: args };
+}
+
+// Helper: The strategy a result was simulated with
+function strategyOf(result) {
+    const index = result.args.indexOf('--strategy');
+    return index >= 0 ? result.args[index + 1] : 'simple';
+}
+
+// Helper: The highest number of intervals ([start, end)) open at once
+function mostAtOnce(intervals) {
+    const points = intervals.flatMap(([start, end]) => [[start, 1], [end, -1]]);
+    points.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    let open = 0;
+    let most = 0;
+    for (const [, change] of points) {
+        open += change;
+        most = Math.max(most, open);
+    }
+    return most;
+}
+
+// Helper: Every batch's full build in flight, from its first request to
+// its last end, keyed by batch id
+function fullBuildSpans(result) {
+    const spans = new Map();
+    for (const build of result.Builds.filter(build => build.type === 'full' && build.batchId !== undefined)) {
+        const span = spans.get(build.batchId) || [Infinity, -Infinity];
+        spans.set(build.batchId, [Math.min(span[0], build.requestTime), Math.max(span[1], build.endTime)]);
+    }
+    return spans;
+}
+
+// Helper: Statistics of a hand-made result, which only needs to list
+// the batches and builds a check is about
+function statisticsOf({ batches = [], Builds = [] }, options) {
+    return calculateStatistics({
+        batches: batches,
+        Builds: Builds,
+        Evictions: [],
+        Retries: [],
+        RunnerWaits: [],
+        RunnerUtilization: [],
+        RunnerPools: {},
+        Commits: []
+    }, options);
+}
+
+// Checks every result has to pass
+function checkResult(result, numPRs) {
+    const statistics = result.statistics;
+
+    // Every PR is merged, evicted or still waiting at the end
+    const waiting = result.batches
+        .filter(batch => batch.status === 'incomplete')
+        .flatMap(batch => batch.prs.map(pr => pr.id));
+    const evicted = result.Evictions.map(eviction => eviction.prId);
+    const merged = result.batches.filter(batch => batch.status === 'success').flatMap(batch => batch.prs.map(pr => pr.id));
+    assert.equal(new Set([...merged, ...evicted, ...waiting]).size, numPRs, 'PRs lost');
+
+    // Canceled builds are recorded
+    assert.equal(result.Builds.filter(build => build.status === 'canceled').length, statistics.canceledBuilds);
+
+    for (const key of ['stalenessMedian', 'stalenessP80', 'stalenessMax']) {
+        assert.ok(Number.isInteger(statistics[key]), `${key} is ${statistics[key]}`);
+    }
+
+    // Evictions have an eviction time if the PR made it into a batch or
+    // was rejected from one (a PR evicted by its fast build before its
+    // batch closed is left out, as it always was)
+    const timed = new Set(result.batches.flatMap(batch => [
+        ...batch.prs.map(pr => pr.id),
+        ...(batch.prEntries || []).filter(entry => entry.rejected).map(entry => entry.pr.id)
+    ]));
+    assert.equal(statistics.evictionTimes.length, evicted.filter(id => timed.has(id)).length, 'eviction times');
+
+    // The simple and adaptive strategies keep a failed batch in the queue,
+    // like the original simulator, so a failure ahead of it requeues its
+    // evicted PRs. Elsewhere a PR is evicted at most once and never merged
+    // after that, and every PR ends up in one place.
+    if (['simple', 'adaptive'].includes(strategyOf(result))) return;
+
+    assert.equal(statistics.mergedPRs + statistics.evictedPRs + waiting.length, numPRs, 'PRs counted twice');
+    assert.equal(new Set(evicted).size, evicted.length, 'PR evicted twice');
+    assert.ok(!merged.some(id => evicted.includes(id)), 'evicted PR merged');
+
+}
+
+// Helper: Check the pinned statistics of a result. A change in behavior
+// fails here with the differing statistics and the command to rerun;
+// if the change is intended, copy the actual values into the test.
+function checkExpected(name, result, expected) {
+    const actual = {};
+    for (const key of Object.keys(expected)) {
+        actual[key] = result.statistics[key];
+    }
+    assert.deepEqual(actual, expected, `${name}: statistics changed (node cli.js ${result.args.join(' ')})`);
+}
+
+const tests = [];
+function test(name, body) {
+    tests.push({ name: name, body: body });
+}
+
+// The statistics of each strategy on the same scenario: 150 PRs at 25
+// per hour, 98% of the fast builds and 85% of the full builds passing,
+// batches of up to 5 and unlimited runners. The totals are what changes
+// when a strategy's behavior does:
+// * simple evicts every PR of a failed batch and restarts the batches
+//   behind it, so it merges the fewest PRs of the speculative strategies
+// * bisect evicts only the culprits it isolates, at the cost of the
+//   bisection builds
+// * adaptive shrinks its batches after failures, so it runs more, smaller
+//   full builds than simple
+// * partitioned splits the queue into 3 components, so a failure only
+//   restarts the batches of its own component
+// * serial builds one batch at a time on top of main, so it never
+//   cancels a build but merges the least in the same time
+const strategies = {
+    simple: { args: [], expected: { mergedPRs: 64, evictedPRs: 86, fullBuilds: 59, canceledBuilds: 64 } },
+    bisect: { args: [], expected: { mergedPRs: 124, evictedPRs: 26, fullBuilds: 93, canceledBuilds: 145, bisectionBuilds: 88 } },
+    adaptive: { args: [], expected: { mergedPRs: 88, evictedPRs: 68, fullBuilds: 177, canceledBuilds: 165 } },
+    partitioned: { args: ['--components', '3', '--cross-component-rate', '10'], expected: { mergedPRs: 92, evictedPRs: 58, fullBuilds: 123, canceledBuilds: 63 } },
+    serial: { args: [], expected: { mergedPRs: 52, evictedPRs: 98, fullBuilds: 30, canceledBuilds: 0 } }
+};
+
+test('every strategy is covered', () => {
+    const listed = cli(['--list-strategies']).stdout.trim().split('\n').map(line => line.split('\t')[0]);
+    assert.deepEqual(listed.sort(), Object.keys(strategies).sort());
+});
+
+for (const [id, { args, expected }] of Object.entries(strategies)) {
+    test(`strategy ${id}`, () => {
+        const result = simulate([...base, '--strategy', id, ...args]);
+        checkResult(result, NUM_PRS);
+        checkExpected(id, result, expected);
+    });
+}
+
+test('runs are reproducible', () => {
+    const first = cli([...base, '--strategy', 'bisect']);
+    const second = cli([...base, '--strategy', 'bisect']);
+    assert.equal(first.stdout, second.stdout);
+});
+
+test('bisect evicts only isolated culprits', () => {
+    const result = simulate([...base, '--strategy', 'bisect']);
+    const reasons = new Set(result.Evictions.map(eviction => eviction.reason));
+    assert.deepEqual([...reasons].sort(), ['Fast build failed', 'Isolated by bisection']);
+    assert.ok(result.batches.some(batch => batch.status === 'failed' && batch.isolatedTime !== undefined));
+});
+
+test('minimum batching closes small batches on the timer', () => {
+    const result = simulate([...base, '--prs-per-hour', '4', '--batching', 'minimum', '--batch-min-size', '3', '--batch-timeout', '1200']);
+    checkResult(result, NUM_PRS);
+    checkExpected('minimum', result, { mergedPRs: 92, evictedPRs: 58, fullBuilds: 60 });
+
+    const small = result.batches.filter(batch => batch.status !== 'incomplete' && batch.prs.length < 3);
+    assert.ok(small.length > 0, 'no batch closed on its timer');
+    for (const batch of small) {
+        const firstQueued = Math.min(...batch.prs.map(pr => pr.queuetime));
+        assert.ok(batch.batchCreateTime >= firstQueued + 1200, `batch ${batch.id} closed before its timer`);
+    }
+});
+
+test('cadence batching closes batches on the schedule', () => {
+    const result = simulate([...base, '--batching', 'cadence', '--batch-cadence', '1800', '--max-batch-size', '20']);
+    checkResult(result, NUM_PRS);
+    checkExpected('cadence', result, { mergedPRs: 16, evictedPRs: 134, fullBuilds: 11 });
+
+    // A batch below the maximum size closes at the first closing time
+    // after its PRs joined, or later once its fast builds passed
+    const closed = result.batches.filter(batch => batch.status !== 'incomplete' && batch.prs.length < 20);
+    assert.ok(closed.length > 0);
+    for (const batch of closed) {
+        const firstQueued = Math.min(...batch.prs.map(pr => pr.queuetime));
+        assert.ok(batch.batchCreateTime >= (Math.floor(firstQueued / 1800) + 1) * 1800, `batch ${batch.id} closed before the schedule`);
+    }
+});
+
+test('speculation depth caps the full builds in flight', () => {
+    const result = simulate([...base, '--prs-per-hour', '40', '--speculation-depth', '1']);
+    checkResult(result, NUM_PRS);
+    checkExpected('slots', result, { mergedPRs: 66, evictedPRs: 84, slotWaitTimeMax: 3163 });
+
+    assert.ok(result.batches.some(batch => batch.waitedForSlot));
+    assert.equal(mostAtOnce([...fullBuildSpans(result).values()]), 1);
+});
+
+test('speculation depth applies per partition', () => {
+    const result = simulate([...base, '--strategy', 'partitioned', '--components', '3', '--prs-per-hour', '40', '--speculation-depth', '1']);
+    checkResult(result, NUM_PRS);
+    checkExpected('partition slots', result, { mergedPRs: 70, evictedPRs: 80, slotWaitTimeMax: 2144 });
+
+    const spans = fullBuildSpans(result);
+    const partitions = new Set(result.batches.flatMap(batch => batch.partitions || []));
+    for (const partition of partitions) {
+        const inPartition = result.batches.filter(batch => (batch.partitions || []).includes(partition) && spans.has(batch.id));
+        assert.equal(mostAtOnce(inPartition.map(batch => spans.get(batch.id))), 1, `partition ${partition}`);
+    }
+    // Different partitions do build at the same time
+    assert.ok(mostAtOnce([...spans.values()]) > 1, 'partitions waited for each other');
+});
+
+test('shared runners limit the builds running at once', () => {
+    const result = simulate([...base, '--runners', 'shared', '--shared-runners', '3']);
+    checkResult(result, NUM_PRS);
+    checkExpected('runners', result, { mergedPRs: 66, evictedPRs: 84, runnerWaitTimeMax: 3115 });
+
+    const running = result.Builds.filter(build => build.startTime !== null).map(build => [build.startTime, build.endTime]);
+    assert.equal(mostAtOnce(running), 3);
+});
+
+test('retries absorb flaky failures', () => {
+    const flaky = [...base, '--flake-rate-full', '20'];
+    const without = simulate(flaky);
+    const withRetries = simulate([...flaky, '--retries', '2']);
+    checkResult(without, NUM_PRS);
+    checkResult(withRetries, NUM_PRS);
+    checkExpected('no retries', without, { flakyEvictedPRs: 21, retryBuilds: 0 });
+    checkExpected('retries', withRetries, { flakyEvictedPRs: 0, retryBuilds: 135 });
+    assert.ok(withRetries.Retries.length > 0);
+});
+
+test('reruns count towards a batch\'s runner wait', () => {
+    const result = simulate([...base, '--flake-rate-full', '20', '--retries', '2', '--runners', 'shared', '--shared-runners', '3']);
+    checkResult(result, NUM_PRS);
+
+    let rerun = 0;
+    for (const batch of result.batches.filter(batch => batch.fullBuildStartTime !== undefined)) {
+        const started = result.Builds.filter(build => build.type === 'full' && build.batchId === batch.id && build.startTime !== null);
+        const wait = started.reduce((sum, build) => sum + build.startTime - build.requestTime, 0);
+        assert.equal(batch.runnerWaitTime, wait, `batch ${batch.id} runner wait`);
+        assert.equal(batch.fullBuildStartTime, Math.max(...started.map(build => build.startTime)), `batch ${batch.id} start`);
+        rerun += started.some(build => build.attempt > 0) ? 1 : 0;
+    }
+    assert.ok(rerun > 0, 'no reruns');
+});
+
+test('flake rolls come from a stream of their own', () => {
+    // The same seed drives the generator, so the streams must not line up
+    const seed = 42;
+    assert.notEqual(streamSeed(seed, 'flakes'), seed);
+    assert.notEqual(streamSeed(seed, 'flakes'), streamSeed(seed, 'conflicts'));
+    assert.equal(streamSeed(seed, 'flakes'), streamSeed(seed, 'flakes'));
+
+    const scenario = createRandom(seed);
+    const flakes = createRandom(streamSeed(seed, 'flakes'));
+    let same = 0;
+    for (let i = 0; i < 1000; i++) {
+        if ((scenario() < 0.5) === (flakes() < 0.5)) same++;
+    }
+    assert.ok(same > 430 && same < 570, `${same} of 1000 draws agree`);
+});
+
+test('optional features leave the generated scenario alone', () => {
+    const config = generatorConfig;
+    const scenario = prs => prs.map(pr => [pr.queuetime, pr.FastBuildPasses, pr.FullBuildPasses, pr.FastBuildTime, pr.FullBuildTime]);
+    const plain = generatePullRequests(config);
+
+    // Each feature draws from a stream of its own
+    const features = {
+        conflictRate: 30,
+        pathOverlapRate: 30,
+        hotfixRate: 20,
+        components: 3
+    };
+    for (const [feature, value] of Object.entries(features)) {
+        const prs = generatePullRequests({ ...config, [feature]: value });
+        assert.deepEqual(scenario(prs), scenario(plain), `${feature} changed the scenario`);
+    }
+});
+
+test('arrival profiles follow the rate of each hour', () => {
+    const HOUR = 3600;
+    const DAY = 24 * HOUR;
+    const flat = { hourly: Array(24).fill(1), weekend: 1, bursts: [] };
+
+    // At 3600 PRs per hour an Exp(1) draw of 2 is two seconds
+    assert.equal(createArrivalSampler(flat, 3600)(0, 2), 2);
+
+    // Hours without arrivals are skipped: one PR per minute from 10:00
+    const tenOnly = { ...flat, hourly: flat.hourly.map((_, hour) => hour === 10 ? 1 : 0) };
+    assert.equal(createArrivalSampler(tenOnly, 60)(0, 1), 10 * HOUR + 60);
+
+    // Without weekend arrivals, Friday 23:59:59 carries over to Monday
+    assert.equal(createArrivalSampler({ ...flat, weekend: 0 }, 3600)(5 * DAY - 1, 2), 7 * DAY + 1);
+
+    // A burst from 1:00 to 2:00 doubles the rate
+    assert.equal(createArrivalSampler({ ...flat, bursts: [{ start: 1, duration: 1, multiplier: 2 }] }, 3600)(HOUR, 10), HOUR + 5);
+
+    assert.deepEqual(parseBursts('85,5,3; 109,2,2'), [{ start: 85, duration: 5, multiplier: 3 }, { start: 109, duration: 2, multiplier: 2 }]);
+    assert.throws(() => parseBursts('85,5'), /start,duration,multiplier/);
+    assert.throws(() => createArrivalSampler({ ...flat, hourly: Array(24).fill(0) }, 10), /at least one hour/);
+
+    // The workday preset peaks at 10am and is quiet at night and on
+    // weekends (2.6 vs 0.1 PRs per hour, and 0.15 of that on weekends)
+    const workday = arrivalPresets.find(preset => preset.id === 'workday').profile;
+    const prs = generatePullRequests({ ...generatorConfig, numPRs: 3000, arrivalProfile: workday });
+    const weekdays = prs.filter(pr => pr.queuetime % (7 * DAY) < 5 * DAY);
+    const inHour = hour => weekdays.filter(pr => Math.floor(pr.queuetime % DAY / HOUR) === hour).length;
+    assert.ok(inHour(10) > 10 * inHour(3), `${inHour(10)} PRs at 10am, ${inHour(3)} at 3am`);
+    const weekendShare = 1 - weekdays.length / prs.length;
+    assert.ok(weekendShare > 0.02 && weekendShare < 0.1, `${weekendShare} of the PRs on weekends`);
+});
+
+test('build time distributions have the requested shape', () => {
+    // Mean, standard deviation and median of many build times
+    const sample = (distribution, buildSpeed) => {
+        const next = createBuildTimeSampler(distribution, buildSpeed, createRandom(1));
+        const times = Array.from({ length: 20000 }, next);
+        const mean = times.reduce((sum, time) => sum + time, 0) / times.length;
+        const stdDev = Math.sqrt(times.reduce((sum, time) => sum + (time - mean) ** 2, 0) / times.length);
+        const median = [...times].sort((a, b) => a - b)[times.length / 2];
+        return { times: times, mean: mean, stdDev: stdDev, median: median };
+    };
+    const near = (actual, expected, tolerance, what) => {
+        assert.ok(Math.abs(actual - expected) <= tolerance, `${what} is ${actual}, expected ${expected}`);
+    };
+
+    const uniform = sample({ distribution: 'uniform', variance: 200 }, 600);
+    assert.ok(uniform.times.every(time => time >= 400 && time <= 800), 'uniform out of range');
+    near(uniform.mean, 600, 5, 'uniform mean');
+
+    const normal = sample({ distribution: 'normal', stdDev: 200 }, 600);
+    near(normal.mean, 600, 5, 'normal mean');
+    near(normal.stdDev, 200, 5, 'normal std dev');
+
+    // Lognormal keeps the mean and standard deviation of the build times,
+    // with a long tail to the right of a lower median
+    const lognormal = sample({ distribution: 'lognormal', stdDev: 300 }, 600);
+    near(lognormal.mean, 600, 10, 'lognormal mean');
+    near(lognormal.stdDev, 300, 15, 'lognormal std dev');
+    assert.ok(lognormal.median < 560, `lognormal median is ${lognormal.median}`);
+
+    // Empirical only draws observed durations, each about as often
+    const empirical = sample({ distribution: 'empirical', samples: [280, 310, 1200] }, 600);
+    for (const duration of [280, 310, 1200]) {
+        near(empirical.times.filter(time => time === duration).length / empirical.times.length, 1 / 3, 0.02, `share of ${duration}`);
+    }
+    assert.equal(empirical.times.length, empirical.times.filter(time => [280, 310, 1200].includes(time)).length);
+
+    // Build times are whole seconds of at least 1
+    assert.ok(sample({ distribution: 'normal', stdDev: 100 }, 1).times.every(time => Number.isInteger(time) && time >= 1));
+
+    assert.deepEqual(parseDurations('280, 310;295\n1200'), [280, 310, 295, 1200]);
+    assert.throws(() => parseDurations('280, soon'), /Not a build duration: "soon"/);
+    assert.throws(() => createBuildTimeSampler({ distribution: 'empirical', samples: [] }, 600, createRandom(1)), /at least one duration/);
+    assert.throws(() => createBuildTimeSampler({ distribution: 'gamma' }, 600, createRandom(1)), /Unknown build time distribution/);
+
+    // A scenario records its distributions and regenerates from them
+    const buildTimeFull = { distribution: 'lognormal', stdDev: 450 };
+    const scenario = generateScenario({ ...generatorConfig, buildTimeFull: buildTimeFull });
+    assert.deepEqual(scenario.generator.buildTimeFull, buildTimeFull);
+    assert.deepEqual(generatePullRequests(scenario.generator), scenario.pullRequests);
+});
+
+test('semantic conflicts fail builds and are isolated', () => {
+    const result = simulate([...base, '--strategy', 'bisect', '--conflict-rate', '30']);
+    checkResult(result, NUM_PRS);
+    checkExpected('conflicts', result, { mergedPRs: 55, evictedPRs: 95, conflictEvictedPRs: 69, conflictFailedBuilds: 125 });
+
+    // A conflicting pair never merges in the same batch
+    for (const batch of result.batches.filter(batch => batch.status === 'success')) {
+        const ids = new Set(batch.prs.map(pr => pr.id));
+        for (const pr of batch.prs) {
+            assert.ok(!(pr.ConflictsWith || []).some(id => ids.has(id)), `batch ${batch.id} merged a conflict`);
+        }
+    }
+});
+
+test('merge conflicts reject PRs at batching time', () => {
+    const result = simulate([...base, '--path-overlap-rate', '30']);
+    checkResult(result, NUM_PRS);
+    checkExpected('merge conflicts', result, { mergedPRs: 57, evictedPRs: 93, mergeConflictEvictedPRs: 43 });
+
+    const rejected = result.batches.flatMap(batch => batch.prEntries.filter(entry => entry.rejected));
+    const conflicts = result.Evictions.filter(eviction => eviction.reason === 'Merge conflict');
+    assert.equal(rejected.length, conflicts.length);
+});
+
+test('hotfixes jump the queue', () => {
+    const result = simulate([...base, '--hotfix-rate', '20', '--path-overlap-rate', '30', '--option', 'priorityJump=1']);
+    checkResult(result, NUM_PRS);
+    checkExpected('hotfixes', result, { mergedPRs: 56, evictedPRs: 115, queueJumps: 33 });
+
+    // A hotfix batch holds the hotfix and nothing left over from the batch
+    // it jumped ahead of
+    const hotfixBatches = result.batches.filter(batch => batch.priority);
+    assert.ok(hotfixBatches.length > 0, 'no hotfix batches');
+    for (const batch of hotfixBatches) {
+        assert.deepEqual(batch.prEntries.map(entry => entry.pr.id), batch.prs.map(pr => pr.id), `batch ${batch.id} entries`);
+    }
+});
+
+test('hotfixes jump the queue of their partitions', () => {
+    const result = simulate([...base, '--strategy', 'partitioned', '--components', '3', '--cross-component-rate', '10', '--hotfix-rate', '20', '--option', 'priorityJump=1']);
+    checkResult(result, NUM_PRS);
+    checkExpected('partitioned hotfixes', result, { mergedPRs: 95, evictedPRs: 55, queueJumps: 33 });
+
+    // Every jump gives the hotfix a batch of its own
+    const hotfixBatches = result.batches.filter(batch => batch.priority);
+    assert.equal(hotfixBatches.length, result.statistics.queueJumps);
+    for (const batch of hotfixBatches) {
+        assert.deepEqual(batch.prEntries.map(entry => entry.pr.id), batch.prs.map(pr => pr.id), `batch ${batch.id} entries`);
+    }
+    const queued = result.QueueJumps.map(jump => jump.restackedPrIds.length);
+    assert.ok(queued.some(count => count > 0), 'no PRs restacked');
+});
+
+test('serial hotfixes go first without building on top of a batch', () => {
+    const result = simulate([...base, '--strategy', 'serial', '--hotfix-rate', '20', '--option', 'priorityJump=1']);
+    checkResult(result, NUM_PRS);
+    checkExpected('serial hotfixes', result, { mergedPRs: 73, evictedPRs: 77, queueJumps: 33 });
+
+    // One full build at a time, and a hotfix batch holds only the hotfix
+    assert.equal(mostAtOnce([...fullBuildSpans(result).values()]), 1);
+    for (const batch of result.batches.filter(batch => batch.priority)) {
+        assert.deepEqual(batch.prs.map(pr => pr.Priority), ['high'], `batch ${batch.id}`);
+    }
+
+    // Normal PRs are batched in arrival order
+    const normal = result.batches.filter(batch => batch.batchCreateTime !== undefined && !batch.priority && batch.status !== 'canceled');
+    for (let i = 1; i < normal.length; i++) {
+        const last = Math.max(...normal[i - 1].prs.map(pr => pr.queuetime));
+        assert.ok(normal[i].prs.every(pr => pr.queuetime >= last), `batch ${normal[i].id} out of order`);
+    }
+});
+
+test('branch staleness is weighted by time', () => {
+    // Main is updated at 100 and 400 and the run ends at 1000, so it is
+    // stale for up to 100, 300 and 600 seconds. Half of the time it is
+    // at most 200 seconds behind (100 + 200 + 200 = 500), 80% of the
+    // time at most 400 (100 + 300 + 400 = 800).
+    const merged = time => ({ status: 'success', completedTime: time, buildCompleteTime: time, prs: [] });
+    const batches = [merged(100), merged(400), { status: 'failed', buildCompleteTime: 1000, prs: [] }];
+    const stats = statisticsOf({ batches: batches });
+    assert.deepEqual([stats.stalenessMedian, stats.stalenessP80, stats.stalenessMax], [200, 400, 600]);
+
+    // Fractions are rounded to whole seconds: 100 + 2 * 200.25 = 500.5
+    batches[2].buildCompleteTime = 1001;
+    assert.equal(statisticsOf({ batches: batches }).stalenessMedian, 200);
+
+    // Without a merge there is nothing to measure
+    assert.equal(statisticsOf({ batches: batches.slice(2) }).stalenessMax, 0);
+});
+
+test('build cost counts canceled and discarded work as waste', () => {
+    const Builds = [
+        { type: 'full', status: 'passed', duration: 600 },
+        { type: 'fast', status: 'canceled', duration: 120 },
+        { type: 'full', status: 'passed', duration: 300, discarded: true },
+        { type: 'fast', status: 'canceled', duration: 0 } // Never got a runner
+    ];
+    const batches = [{ status: 'success', completedTime: 600, buildCompleteTime: 600, prs: [{ queuetime: 0 }, { queuetime: 0 }] }];
+    const stats = statisticsOf({ batches: batches, Builds: Builds }, { costs: { fast: 0.5, full: 2 } });
+    assert.deepEqual(
+        [stats.buildTime, stats.wastedBuildTime, stats.buildCost, stats.wastedBuildCost, stats.costPerMergedPR],
+        [1020, 420, 31, 11, 15.5]);
+
+    // Every build of a run records the work it did
+    const result = simulate([...base, '--fast-cost', '0.5', '--full-cost', '2']);
+    let buildTime = 0;
+    let wastedBuildTime = 0;
+    for (const build of result.Builds) {
+        const work = build.startTime === null ? 0 : build.endTime - build.startTime;
+        assert.equal(build.duration, work, `${build.type} build ending at ${build.endTime}`);
+        buildTime += build.duration;
+        wastedBuildTime += build.status === 'canceled' || build.discarded ? build.duration : 0;
+    }
+    assert.ok(result.Builds.some(build => build.status === 'canceled' && build.duration > 0), 'no canceled work');
+    assert.ok(result.Builds.some(build => build.discarded), 'no discarded builds');
+    assert.equal(result.statistics.buildTime, buildTime);
+    assert.equal(result.statistics.wastedBuildTime, wastedBuildTime);
+    assert.ok(Math.abs(result.statistics.costPerMergedPR * result.statistics.mergedPRs - result.statistics.buildCost) < 1e-6);
+});
+
+test('batch duration models apply to every full build', () => {
+    // The full build duration of a set of PR build times in each model,
+    // with the default overhead, parallelism and setup
+    const models = {
+        max: times => Math.max(...times),
+        overhead: times => Math.max(...times) + 60 * (times.length - 1),
+        parallel: times => Math.max(Math.max(...times), Math.round(times.reduce((sum, time) => sum + time, 0) / 4)),
+        setup: times => Math.max(...times) + times.reduce((sum, time) => sum + Math.max(0, time - 300), 0) - Math.max(0, Math.max(...times) - 300)
+    };
+    assert.deepEqual(Object.values(models).map(model => model([900, 600, 300])), [900, 1020, 900, 1200]);
+
+    for (const [mode, model] of Object.entries(models)) {
+        const result = simulate([...base, '--strategy', 'bisect', '--batch-duration', mode]);
+        checkResult(result, NUM_PRS);
+
+        const buildTimes = new Map(result.batches.flatMap(batch => batch.prs.map(pr => [pr.id, pr.FullBuildTime])));
+        const started = result.batches.filter(batch => batch.fullBuildTime !== undefined);
+        assert.ok(started.some(batch => batch.prs.length > 2), `${mode}: no large batches`);
+        for (const batch of started) {
+            assert.equal(batch.fullBuildTime, model(batch.prs.map(pr => pr.FullBuildTime)), `${mode}: batch ${batch.id}`);
+        }
+        // Bisection builds of part of a batch use the model as well
+        for (const bisection of result.Bisections) {
+            const expected = model(bisection.prIds.map(id => buildTimes.get(id)));
+            assert.equal(bisection.endTime - bisection.startTime, expected, `${mode}: bisection of ${bisection.prIds}`);
+        }
+    }
+});
+
+test('Monte Carlo runs report confidence intervals', () => {
+    // Mean 3, standard deviation sqrt(2.5), t = 2.776 for 4 degrees of
+    // freedom: 3 +/- 2.776 * sqrt(2.5) / sqrt(5)
+    const interval = confidenceInterval([1, 2, 3, 4, 5]);
+    assert.equal(interval.mean, 3);
+    assert.ok(Math.abs(interval.high - 3 - 2.776 * Math.sqrt(0.5)) < 1e-9, `high is ${interval.high}`);
+    assert.ok(Math.abs(interval.mean * 2 - interval.low - interval.high) < 1e-9, 'not symmetric');
+    assert.deepEqual(confidenceInterval([7]), { mean: 7, low: 7, high: 7, stdDev: 0 });
+
+    // Beyond 30 degrees of freedom the normal value applies
+    const many = Array.from({ length: 40 }, (_, i) => i % 2);
+    const manyInterval = confidenceInterval(many);
+    assert.ok(Math.abs(manyInterval.high - 0.5 - 1.96 * manyInterval.stdDev / Math.sqrt(40)) < 1e-9);
+
+    // Every run is its own scenario, and the first one is the scenario
+    // of the base seed
+    const config = { ...generatorConfig, numPRs: 60 };
+    const settings = { maxBatchSize: 10 };
+    const monteCarlo = runMonteCarlo(config, 4, 'simple', settings);
+    assert.equal(monteCarlo.baseSeed, 7);
+    assert.equal(monteCarlo.statistics.length, 4);
+    const first = simulateStrategy('simple', generatePullRequests(config), { ...settings, seed: 7 }).statistics;
+    assert.deepEqual(monteCarlo.statistics[0], first);
+    const p80s = monteCarlo.statistics.map(stats => stats.waitingTimeP80);
+    assert.ok(new Set(p80s).size > 1, 'every run is the same');
+
+    const row = monteCarlo.summary.find(row => row.metric.key === 'waitingTimeP80');
+    assert.deepEqual({ ...row, metric: undefined }, { ...confidenceInterval(p80s), metric: undefined, min: Math.min(...p80s), max: Math.max(...p80s) });
+    assert.ok(monteCarlo.summary.some(row => row.metric.key === 'runnerUtilization.full'), 'no runner utilization');
+    assert.throws(() => runMonteCarlo(config, 0, 'simple', settings), /at least one run/);
+});
+
+test('CSV output has one column per statistic', () => {
+    const withHeader = cli([...base, '--format', 'csv']).stdout.trim().split('\n');
+    const withoutHeader = cli([...base, '--format', 'csv', '--no-header']).stdout.trim().split('\n');
+    assert.equal(withHeader.length, 2);
+    assert.deepEqual(withoutHeader, [withHeader[1]]);
+    assert.equal(withHeader[0].split(',').length, withHeader[1].split(',').length);
+    assert.deepEqual(withHeader[0].split(',').slice(0, 4), ['strategy', 'maxBatchSize', 'seed', 'mergedPRs']);
+});
+
+test('importer reads a CSV export and reports unusable rows', () => {
+    const csv = join(scratch, 'history.csv');
+    writeFileSync(csv, [
+        'number,enqueued_at,conclusion,duration,files',
+        '101,2024-05-02T10:00:00Z,success,600,src/a.js',
+        '102,2024-05-02T10:05:00Z,failure,660,src/b.js',
+        '103,not a date,success,600,src/c.js',
+        '104,2024-05-02T10:20:00Z,success,0:11:00,src/d.js',
+        '105,2024-05-02T10:30:00Z,success,540,src/a.js;docs/e.md',
+        '106,2024-05-02T10:50:00Z,success,600,src/f.js'
+    ].join('\n') + '\n');
+
+    const result = simulate(['--import', csv, '--map', 'fullBuildResult=conclusion']);
+    assert.match(result.stderr, /row 3 \(103\)/);
+    checkResult(result, 5);
+    assert.ok(result.Evictions.some(eviction => eviction.reason === 'Full build failed'), 'failed build not imported');
+
+    const missing = cli(['--import', csv, '--map', 'fullBuildResult=outcome']);
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /no column "outcome"/);
+});
+
+test('importer reads nested JSON with a column mapping', () => {
+    const { records, columns } = parseRecords(JSON.stringify({
+        runs: [
+            { pr: { number: 7 }, enqueued_at: '2024-05-02T10:10:00Z', ci: { conclusion: 'failure', started_at: 1714644900000, finished_at: 1714645500000 } },
+            { pr: { number: 5 }, enqueued_at: '2024-05-02T10:00:00Z', ci: { conclusion: 'success', started_at: 1714644300, finished_at: 1714645200 } },
+            { pr: { number: 9 }, enqueued_at: '2024-05-02T10:20:00Z', ci: { conclusion: 'success', started_at: 1714645800, finished_at: 1714645200 } }
+        ]
+    }));
+    assert.deepEqual(columns, ['pr.number', 'enqueued_at', 'ci.conclusion', 'ci.started_at', 'ci.finished_at']);
+
+    // The guess finds the PR id and queue time; the CI columns are
+    // mapped by hand
+    assert.deepEqual(guessMapping(columns), { id: 'pr.number', queueTime: 'enqueued_at' });
+    const mapping = {
+        id: 'pr.number',
+        queueTime: 'enqueued_at',
+        fullBuildResult: 'ci.conclusion',
+        fullBuildStart: 'ci.started_at',
+        fullBuildEnd: 'ci.finished_at'
+    };
+
+    // Queue times count from the first PR, durations come from epoch
+    // seconds or milliseconds, and fast builds pass in a second
+    const { pullRequests, skipped, start } = importPullRequests(records, mapping);
+    assert.equal(start, Date.parse('2024-05-02T10:00:00Z') / 1000);
+    assert.deepEqual(pullRequests.map(pr => [pr.sourceId, pr.queuetime, pr.FullBuildPasses, pr.FullBuildTime, pr.FastBuildTime]), [
+        ['5', 0, true, 900, 1],
+        ['7', 600, false, 600, 1]
+    ]);
+    assert.deepEqual(skipped, [{ row: 3, id: '9', reason: 'the full build finished before it started' }]);
+
+    assert.throws(() => importPullRequests(records, { ...mapping, fullBuildEnd: undefined }), /Map a column to "Full build duration"/);
+    assert.throws(() => importPullRequests(records, { ...mapping, fastBuildStart: 'ci.started_at' }), /or to neither/);
+    assert.throws(() => importPullRequests(records, { ...mapping, queueTime: undefined }), /Map a column to "Queued at"/);
+});
+
+test('importer guesses the columns of a CSV export', () => {
+    const { records, columns } = parseRecords([
+        'PR Number;Queued At;Fast Result;Fast Duration;Conclusion;Build Time;Files;Priority',
+        '12;1714644000;ok;0:02:30;success;0:15:00;"src/a.js; src/b.js";hotfix',
+        '13;1714644300;failed;120;success;900;docs/c.md;',
+        '14;1714644600;ok;120;maybe;900;src/d.js;normal'
+    ].join('\n'));
+    assert.deepEqual(guessMapping(columns), {
+        id: 'PR Number',
+        queueTime: 'Queued At',
+        fastBuildResult: 'Fast Result',
+        fastBuildDuration: 'Fast Duration',
+        fullBuildResult: 'Conclusion',
+        fullBuildDuration: 'Build Time',
+        touchedPaths: 'Files',
+        priority: 'Priority'
+    });
+
+    const { pullRequests, skipped } = importPullRequests(records, guessMapping(columns));
+    assert.deepEqual(pullRequests[0], {
+        queuetime: 0,
+        sourceId: '12',
+        FastBuildPasses: true,
+        FullBuildPasses: true,
+        FastBuildTime: 150,
+        FullBuildTime: 900,
+        FastBuildFlakeRate: 0,
+        FullBuildFlakeRate: 0,
+        TouchedPaths: ['src/a.js', 'src/b.js'],
+        Priority: 'high'
+    });
+    // A PR whose fast build failed cannot pass its full build, and an
+    // empty priority is left out
+    assert.deepEqual([pullRequests[1].FastBuildPasses, pullRequests[1].FullBuildPasses, 'Priority' in pullRequests[1]], [false, false, false]);
+    assert.deepEqual(skipped, [{ row: 3, id: '14', reason: '"Full build result" cannot be read: "maybe"' }]);
+});
+
+test('validator stops on bad input unless asked to fix it', () => {
+    const input = join(scratch, 'input.json');
+    const pr = { queuetime: 0, FastBuildPasses: true, FullBuildPasses: true, FastBuildTime: 300, FullBuildTime: 900 };
+    writeFileSync(input, JSON.stringify([
+        pr,
+        { ...pr, queuetime: 60, FastBuildTime: '300' }, // Fixable
+        { ...pr, queuetime: 120, FullBuildPasses: 'maybe' }, // Not fixable
+        { ...pr, queuetime: 180 }
+    ]));
+
+    const stopped = cli(['--input', input]);
+    assert.equal(stopped.status, 1);
+    assert.match(stopped.stderr, /The input has 2 errors/);
+
+    const fixed = simulate(['--input', input, '--fix-input']);
+    assert.match(fixed.stderr, /fixed 1 and dropped 1 bad input records/);
+    checkResult(fixed, 3);
+
+    const dropped = simulate(['--input', input, '--drop-invalid']);
+    assert.match(dropped.stderr, /fixed 0 and dropped 2 bad input records/);
+    checkResult(dropped, 2);
+});
+
+test('validator reports, fixes and drops records one by one', () => {
+    const pr = { queuetime: 0, FastBuildPasses: true, FullBuildPasses: true, FastBuildTime: 300, FullBuildTime: 900 };
+    const input = [
+        { ...pr, ConflictsWith: [3] },
+        { ...pr, queuetime: '60', FullBuildTime: 0 }, // Fixable twice
+        { ...pr, queuetime: 120, FullBuildTime: undefined }, // Not fixable
+        { ...pr, queuetime: 180, FastBuildPasses: false, ConflictsWith: [0, 2] }, // Only suspicious
+        { ...pr, queuetime: 240, Priority: 'High', FastBuildFlakeRate: 120 } // Fixable twice
+    ];
+
+    const validation = validatePullRequests(input);
+    assert.deepEqual(validation.errors.map(error => [error.index, error.field, error.fixable, error.fix]), [
+        [1, 'queuetime', true, 60],
+        [1, 'FullBuildTime', true, 1],
+        [2, 'FullBuildTime', false, undefined],
+        [4, 'FastBuildFlakeRate', true, 100],
+        [4, 'Priority', true, 'high']
+    ]);
+    assert.equal(describeIssue(validation.errors[2]), 'Record 2: FullBuildTime is missing');
+    assert.deepEqual(validation.warnings.map(describeIssue), ['Record 3: FullBuildPasses passes although the fast build fails']);
+
+    // Fixing keeps the repairable records; conflicts with a dropped
+    // record go and the others follow the records to their new indexes
+    const fixed = resolveErrors(input, validation, true);
+    assert.deepEqual([fixed.fixed, fixed.dropped], [2, 1]);
+    assert.deepEqual(fixed.pullRequests.map(pr => pr.queuetime), [0, 60, 180, 240]);
+    assert.deepEqual([fixed.pullRequests[1].FullBuildTime, fixed.pullRequests[3].Priority], [1, 'high']);
+    assert.deepEqual(fixed.pullRequests.map(pr => pr.ConflictsWith), [[2], undefined, [0], undefined]);
+    assert.deepEqual(validatePullRequests(fixed.pullRequests).errors, []);
+    assert.equal(input[1].FullBuildTime, 0, 'input changed');
+
+    const dropped = resolveErrors(input, validation, false);
+    assert.deepEqual([dropped.fixed, dropped.dropped], [0, 3]);
+    assert.deepEqual(dropped.pullRequests.map(pr => pr.ConflictsWith), [[1], [0]]);
+
+    assert.deepEqual(validatePullRequests({ pullRequests: [] }).errors.map(describeIssue), ['The input is not a list of pull requests']);
+});
+
+let failed = 0;
+for (const { name, body } of tests) {
+    try {
+        body();
+        process.stdout.write(`ok - ${name}\n`);
+    } catch (error) {
+        failed++;
+        process.stdout.write(`not ok - ${name}\n  ${error.message.split('\n').join('\n  ')}\n`);
+    }
+}
+rmSync(scratch, { recursive: true, force: true });
+
+process.stdout.write(`${tests.length - failed} of ${tests.length} passed\n`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -3,9 +3,16 @@
  * Handles DOM manipulation, event listeners, and coordination between modules
  */
 
-import { generatePullRequests } from './generator.js';
-import { simulateSimpleStrategy } from './simple.js';
-import { renderQueue } from './renderer.js';
+import { generateScenario, scenarioPullRequests } from './generator.js';
+import { listStrategies, getStrategy, simulateStrategy } from './strategies.js';
+import { renderQueue, renderSweep, renderSpread } from './renderer.js';
+import { configurationLabel, runComparison, compareStatistics } from './comparison.js';
+import { sweepMetrics, sweepValues, runSweep, sweepToCSV } from './sweep.js';
+import { runMonteCarlo } from './montecarlo.js';
+import { arrivalPresets, parseBursts } from './arrivals.js';
+import { buildTimeDistributions, parseDurations } from './distributions.js';
+import { importFields, parseRecords, guessMapping, importScenario } from './importer.js';
+import { validatePullRequests, resolveErrors, describeIssue } from './validator.js';
 
 /**
  * Copies text content from a textarea to clipboard
@@ -22,27 +29,249 @@ function copyToClipboard(elementId) {
 }
 
 /**
- * Handles the Generate button click
- * Reads form values, generates PR data, and updates the textarea
+ * Reads the generator config from the Generate Input form
+ * @returns {Object} Configuration for generatePullRequests
  */
-function handleGenerate() {
-	// Get form values
-	const config = {
+function readGeneratorConfig() {
+	// An empty seed means a new random scenario every time
+	const seed = parseInt(document.getElementById('seed').value);
+
+	return {
 		numPRs: parseInt(document.getElementById('numPRs').value) || 0,
 		prsPerHour: parseInt(document.getElementById('prsPerHour').value) || 1,
 		buildSpeedFast: parseInt(document.getElementById('buildSpeedFast').value) || 0,
 		buildSuccessRateFast: parseFloat(document.getElementById('buildSuccessRateFast').value) || 0,
-		buildSpeedVarianceFast: parseInt(document.getElementById('buildSpeedVarianceFast').value) || 0,
 		buildSpeedFull: parseInt(document.getElementById('buildSpeedFull').value) || 0,
 		buildSuccessRateFull: parseFloat(document.getElementById('buildSuccessRateFull').value) || 0,
-		buildSpeedVarianceFull: parseInt(document.getElementById('buildSpeedVarianceFull').value) || 0
+		flakeRateFast: parseFloat(document.getElementById('flakeRateFast').value) || 0,
+		flakeRateFull: parseFloat(document.getElementById('flakeRateFull').value) || 0,
+		buildTimeFast: readBuildTimeDistribution('Fast'),
+		buildTimeFull: readBuildTimeDistribution('Full'),
+		conflictRate: parseFloat(document.getElementById('conflictRate').value) || 0,
+		conflictWindow: parseInt(document.getElementById('conflictWindow').value) || 1,
+		pathOverlapRate: parseFloat(document.getElementById('pathOverlapRate').value) || 0,
+		overlapWindow: parseInt(document.getElementById('overlapWindow').value) || 1,
+		hotfixRate: parseFloat(document.getElementById('hotfixRate').value) || 0,
+		components: parseInt(document.getElementById('components').value) || 0,
+		crossComponentRate: parseFloat(document.getElementById('crossComponentRate').value) || 0,
+		arrivalProfile: readArrivalProfile(),
+		seed: isNaN(seed) ? undefined : seed
 	};
+}
 
-	// Generate pull requests
-	const pullRequests = generatePullRequests(config);
+/**
+ * Reads a build time distribution and its parameters from the form
+ * @param {string} type - 'Fast' or 'Full'
+ * @returns {Object} Distribution ({distribution, ...parameters})
+ */
+function readBuildTimeDistribution(type) {
+	const id = document.getElementById(`buildTimeDistribution${type}`).value;
+	const definition = buildTimeDistributions.find(d => d.id === id);
+
+	const distribution = { distribution: id };
+	for (const parameter of definition.parameters) {
+		const value = document.getElementById(`buildTime${type}-${parameter.id}`).value;
+		distribution[parameter.id] = parameter.list ? parseDurations(value) : parseFloat(value) || 0;
+	}
+	return distribution;
+}
+
+/**
+ * Fills the build time distribution dropdowns
+ */
+function populateBuildTimeDistributions() {
+	for (const type of ['Fast', 'Full']) {
+		const select = document.getElementById(`buildTimeDistribution${type}`);
+		select.innerHTML = '';
+		for (const distribution of buildTimeDistributions) {
+			const option = document.createElement('option');
+			option.value = distribution.id;
+			option.textContent = distribution.name;
+			select.appendChild(option);
+		}
+		renderBuildTimeParameters(type);
+	}
+}
+
+/**
+ * Shows the inputs for the parameters of the selected build time
+ * distribution, with defaults scaled to the build speed
+ * @param {string} type - 'Fast' or 'Full'
+ */
+function renderBuildTimeParameters(type) {
+	const id = document.getElementById(`buildTimeDistribution${type}`).value;
+	const definition = buildTimeDistributions.find(d => d.id === id);
+	const buildSpeed = parseInt(document.getElementById(`buildSpeed${type}`).value) || 0;
+
+	document.getElementById(`buildTimeParameters${type}`).innerHTML = definition.parameters.map(parameter => parameter.list ? `
+		<label for="buildTime${type}-${parameter.id}">${parameter.label} (${type}):</label><br />
+		<textarea id="buildTime${type}-${parameter.id}" rows="3" cols="40"
+			placeholder="seconds, e.g. 280, 310, 295, 1200"></textarea><br />
+	` : `
+		<label for="buildTime${type}-${parameter.id}">${parameter.label} (${type}):</label>
+		<input type="number" id="buildTime${type}-${parameter.id}"
+			value="${Math.round(buildSpeed * parameter.ratio)}" style="width: 80px;" /><br />
+	`).join('');
+}
+
+/**
+ * Reads the arrival profile from the form
+ * @returns {Object|undefined} Arrival profile ({hourly, weekend, bursts}),
+ *     or undefined for a constant rate
+ */
+function readArrivalProfile() {
+	const hourly = document.getElementById('hourlyCurve').value.split(',')
+		.map(value => value.trim()).filter(value => value !== '').map(value => parseFloat(value));
+	const weekend = parseFloat(document.getElementById('weekendMultiplier').value);
+	const bursts = parseBursts(document.getElementById('bursts').value);
+
+	const profile = { hourly: hourly, weekend: isNaN(weekend) ? 1 : weekend, bursts: bursts };
+	const constant = hourly.length === 24 && hourly.every(value => value === 1) &&
+		profile.weekend === 1 && bursts.length === 0;
+	return constant ? undefined : profile;
+}
+
+/**
+ * Fills the arrival profile dropdown from the presets
+ */
+function populateArrivalProfiles() {
+	const select = document.getElementById('arrivalProfile');
+	select.innerHTML = '';
+	for (const preset of arrivalPresets) {
+		const option = document.createElement('option');
+		option.value = preset.id;
+		option.textContent = preset.name;
+		select.appendChild(option);
+	}
+	applyArrivalPreset();
+}
+
+/**
+ * Copies the selected preset into the editable profile inputs
+ */
+function applyArrivalPreset() {
+	const id = document.getElementById('arrivalProfile').value;
+	const profile = arrivalPresets.find(preset => preset.id === id).profile;
+
+	document.getElementById('hourlyCurve').value = profile.hourly.join(', ');
+	document.getElementById('weekendMultiplier').value = profile.weekend;
+	document.getElementById('bursts').value = profile.bursts
+		.map(burst => `${burst.start},${burst.duration},${burst.multiplier}`).join('; ');
+}
+
+/**
+ * Handles the Generate button click
+ * Reads form values, generates PR data, and updates the textarea
+ */
+function handleGenerate() {
+	// Generate pull requests, keeping the config and seed alongside them
+	let scenario;
+	try {
+		scenario = generateScenario(readGeneratorConfig());
+	} catch (error) {
+		alert('Error generating input: ' + error.message);
+		return;
+	}
 
 	// Populate the input data textarea with JSON
-	document.getElementById('inputData').value = JSON.stringify(pullRequests, null, 2);
+	document.getElementById('inputData').value = JSON.stringify(scenario, null, 2);
+}
+
+/**
+ * Fills the strategy dropdown from the strategy registry
+ */
+function populateStrategies() {
+	const select = document.getElementById('strategy');
+	select.innerHTML = '';
+	for (const strategy of listStrategies()) {
+		const option = document.createElement('option');
+		option.value = strategy.id;
+		option.textContent = strategy.name;
+		select.appendChild(option);
+	}
+	renderStrategyOptions();
+}
+
+/**
+ * Shows the inputs for the options of the selected strategy
+ */
+function renderStrategyOptions() {
+	const strategy = getStrategy(document.getElementById('strategy').value);
+	const container = document.getElementById('strategyOptions');
+
+	container.innerHTML = (strategy.options || []).map(option => `
+		<label for="option-${option.id}">${option.label}:</label>
+		<input type="number" id="option-${option.id}" value="${option.default}"
+			step="${option.step || 1}" style="width: 60px;" /><br />
+	`).join('');
+
+	populateSweepParameters(strategy);
+}
+
+/**
+ * Fills the sweep parameter dropdown with the queue settings and the
+ * options of the selected strategy
+ * @param {Object} strategy - Strategy from the registry
+ */
+function populateSweepParameters(strategy) {
+	const select = document.getElementById('sweepParameter');
+	const previous = select.value;
+	const parameters = [
+		{ id: 'maxBatchSize', label: 'Maximum batch size' },
+		{ id: 'retries', label: 'Retries on build failure' },
+		{ id: 'speculationDepth', label: 'Speculation depth' },
+		...(strategy.options || [])
+	];
+
+	select.innerHTML = '';
+	for (const parameter of parameters) {
+		const option = document.createElement('option');
+		option.value = parameter.id;
+		option.textContent = parameter.label;
+		select.appendChild(option);
+	}
+	if (parameters.some(parameter => parameter.id === previous)) {
+		select.value = previous;
+	}
+}
+
+/**
+ * Reads the values of the selected strategy's options
+ * @param {Object} strategy - Strategy from the registry
+ * @returns {Object} Option values keyed by option id
+ */
+function readStrategyOptions(strategy) {
+	const values = {};
+	for (const option of strategy.options || []) {
+		const value = parseFloat(document.getElementById(`option-${option.id}`).value);
+		values[option.id] = isNaN(value) ? option.default : value;
+	}
+	return values;
+}
+
+/**
+ * Collects the time series in a simulation result to chart along the timeline
+ * @param {Object} result - Simulation result
+ * @returns {Array} Time series ({label, color, points})
+ */
+function collectTimeSeries(result) {
+	const series = [];
+	if (result.BatchSizeLimits) {
+		series.push({
+			label: 'Batch limit',
+			color: 'purple',
+			points: result.BatchSizeLimits.map(p => ({ time: p.time, value: p.effective }))
+		});
+	}
+	if (result.statistics && result.statistics.stalenessOverTime.length > 0) {
+		series.push({
+			label: 'Staleness',
+			color: 'darkorange',
+			linear: true,
+			points: result.statistics.stalenessOverTime
+		});
+	}
+	return series;
 }
 
 /**
@@ -53,7 +282,7 @@ function simulateAndRender() {
 	if (result && result.batches) {
 		const canvas = document.getElementById('queueCanvas');
 		// Pass all batches (including failed and canceled) to renderer
-		renderQueue(canvas, result.batches);
+		renderQueue(canvas, result.batches, collectTimeSeries(result));
 
 		// Render statistics
 		if (result.statistics) {
@@ -69,6 +298,43 @@ function simulateAndRender() {
 	}
 }
 
+/**
+ * Formats a time in seconds in a readable format
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatTime(seconds) {
+	if (seconds < 60) {
+		return `${Math.round(seconds)}s`;
+	} else if (seconds < 3600) {
+		const mins = Math.floor(seconds / 60);
+		const secs = Math.round(seconds % 60);
+		return `${mins}m ${secs}s`;
+	} else {
+		const hours = Math.floor(seconds / 3600);
+		const mins = Math.floor((seconds % 3600) / 60);
+		return `${hours}h ${mins}m`;
+	}
+}
+
+/**
+ * Formats the value of a statistic metric (see statisticMetrics)
+ * @param {Object} metric - Metric with its time or cost flag
+ * @param {number} value - Value of the metric
+ * @param {number} decimals - Decimals for plain numbers, unless the metric
+ *     asks for more
+ * @returns {string} Formatted value
+ */
+function formatMetric(metric, value, decimals = 0) {
+	if (metric.time) {
+		return formatTime(value);
+	}
+	if (metric.cost) {
+		return value.toFixed(2);
+	}
+	return value.toFixed(Math.max(decimals, metric.decimals || 0));
+}
+
 /**
  * Renders statistics in a table
  * @param {Object} stats - Statistics object from simulation
@@ -76,19 +342,38 @@ function simulateAndRender() {
 function renderStatistics(stats) {
 	const container = document.getElementById('statisticsContainer');
 
-	// Format time in seconds to a readable format
-	function formatTime(seconds) {
-		if (seconds < 60) {
-			return `${Math.round(seconds)}s`;
-		} else if (seconds < 3600) {
-			const mins = Math.floor(seconds / 60);
-			const secs = Math.round(seconds % 60);
-			return `${mins}m ${secs}s`;
-		} else {
-			const hours = Math.floor(seconds / 3600);
-			const mins = Math.floor((seconds % 3600) / 60);
-			return `${hours}h ${mins}m`;
-		}
+	// One utilization row per runner pool
+	const poolNames = { fast: 'Fast', full: 'Full', shared: 'Shared' };
+	const runnerRows = Object.entries(stats.runnerUtilization).map(([pool, usage], i) => {
+		const value = usage.capacity
+			? `${(usage.utilization * 100).toFixed(1)}% of ${usage.capacity} (peak queue ${usage.peakWaiting})`
+			: `unlimited (avg ${usage.averageBusy.toFixed(1)}, peak ${usage.peakBusy} busy)`;
+		return `
+				<tr${i % 2 === 1 ? ' style="background-color: #f9f9f9;"' : ''}>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">${poolNames[pool] || pool} Runner Utilization</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${value}</td>
+				</tr>`;
+	}).join('');
+
+	// Per-PR staleness rows, when measured
+	let prStalenessRows = '';
+	if (stats.prStalenessMedian !== undefined) {
+		prStalenessRows = `
+				<tr style="background-color: #e8f4f8;">
+					<td colspan="2" style="border: 1px solid #ddd; padding: 8px; font-weight: bold;">PR Base Staleness (Merged PRs)</td>
+				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Median</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.prStalenessMedian)} (${stats.prMergesBehindMedian} merges)</td>
+				</tr>
+				<tr style="background-color: #f9f9f9;">
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">80th Percentile</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.prStalenessP80)} (${stats.prMergesBehindP80} merges)</td>
+				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Maximum</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.prStalenessMax)} (${stats.prMergesBehindMax} merges)</td>
+				</tr>`;
 	}
 
 	const html = `
@@ -109,13 +394,29 @@ function renderStatistics(stats) {
 					<td style="border: 1px solid #ddd; padding: 8px; text-align: right; font-weight: bold; color: red;">${stats.evictedPRs}</td>
 				</tr>
 				<tr>
-					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Fairly Evicted (fast build failed)</td>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Fairly Evicted (fast build failed or isolated)</td>
 					<td style="border: 1px solid #ddd; padding: 8px; text-align: right; color: #cc6600;">${stats.fairlyEvictedPRs}</td>
 				</tr>
 				<tr style="background-color: #f9f9f9;">
 					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Unfairly Evicted (full build failed)</td>
 					<td style="border: 1px solid #ddd; padding: 8px; text-align: right; color: #cc0000;">${stats.unfairlyEvictedPRs}</td>
 				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Evicted by Genuine Failures</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${stats.genuineEvictedPRs}</td>
+				</tr>
+				<tr style="background-color: #f9f9f9;">
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Evicted by Flaky Failures (retries exhausted)</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${stats.flakyEvictedPRs}</td>
+				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Evicted by Semantic Conflicts</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${stats.conflictEvictedPRs} (${stats.conflictFailedBuilds} builds failed)</td>
+				</tr>
+				<tr style="background-color: #f9f9f9;">
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Evicted by Merge Conflicts</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${stats.mergeConflictEvictedPRs}</td>
+				</tr>
 				<tr>
 					<td style="border: 1px solid #ddd; padding: 8px;">Queued Builds</td>
 					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${stats.queuedBuilds}</td>
@@ -124,6 +425,41 @@ function renderStatistics(stats) {
 					<td style="border: 1px solid #ddd; padding: 8px;">Canceled Builds</td>
 					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${stats.canceledBuilds}</td>
 				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px;">Bisection Builds</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${stats.bisectionBuilds}</td>
+				</tr>
+				<tr style="background-color: #f9f9f9;">
+					<td style="border: 1px solid #ddd; padding: 8px;">Retry Builds (build time)</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${stats.retryBuilds} (${formatTime(stats.retryBuildTime)})</td>
+				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px;">Full Builds (average batch size)</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${stats.fullBuilds} (${stats.batchSizeMean.toFixed(1)})</td>
+				</tr>
+				<tr style="background-color: #e8f4f8;">
+					<td colspan="2" style="border: 1px solid #ddd; padding: 8px; font-weight: bold;">Build Cost</td>
+				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Build Time (all builds)</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.buildTime)}</td>
+				</tr>
+				<tr style="background-color: #f9f9f9;">
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Wasted Build Time (canceled or discarded)</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right; color: #cc6600;">${formatTime(stats.wastedBuildTime)}${stats.buildTime > 0 ? ` (${(stats.wastedBuildTime / stats.buildTime * 100).toFixed(1)}%)` : ''}</td>
+				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Total Cost</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${stats.buildCost.toFixed(2)}</td>
+				</tr>
+				<tr style="background-color: #f9f9f9;">
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Wasted Cost</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${stats.wastedBuildCost.toFixed(2)}</td>
+				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Cost per Merged PR</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right; font-weight: bold;">${stats.costPerMergedPR.toFixed(2)}</td>
+				</tr>
 				<tr style="background-color: #e8f4f8;">
 					<td colspan="2" style="border: 1px solid #ddd; padding: 8px; font-weight: bold;">Waiting Time Statistics (Merged PRs)</td>
 				</tr>
@@ -154,6 +490,51 @@ function renderStatistics(stats) {
 					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Maximum</td>
 					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.evictionTimeMax)}</td>
 				</tr>
+				<tr style="background-color: #ffe8e8;">
+					<td colspan="2" style="border: 1px solid #ddd; padding: 8px; font-weight: bold;">Failure Isolation Time (Bisected Batches)</td>
+				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Median</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.isolationTimeMedian)}</td>
+				</tr>
+				<tr style="background-color: #f9f9f9;">
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">80th Percentile</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.isolationTimeP80)}</td>
+				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Maximum</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.isolationTimeMax)}</td>
+				</tr>
+				<tr style="background-color: #e8f4f8;">
+					<td colspan="2" style="border: 1px solid #ddd; padding: 8px; font-weight: bold;">Build Runners</td>
+				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Runner Wait (Median)</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.runnerWaitTimeMedian)}</td>
+				</tr>
+				<tr style="background-color: #f9f9f9;">
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Runner Wait (80th Percentile)</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.runnerWaitTimeP80)}</td>
+				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Runner Wait (Maximum)</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.runnerWaitTimeMax)}</td>
+				</tr>${runnerRows}
+				<tr style="background-color: #e8f4f8;">
+					<td colspan="2" style="border: 1px solid #ddd; padding: 8px; font-weight: bold;">Speculation Slots (Batches That Waited)</td>
+				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Slot Wait (Median)</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.slotWaitTimeMedian)}</td>
+				</tr>
+				<tr style="background-color: #f9f9f9;">
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Slot Wait (80th Percentile)</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.slotWaitTimeP80)}</td>
+				</tr>
+				<tr>
+					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Slot Wait (Maximum)</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.slotWaitTimeMax)}</td>
+				</tr>
 				<tr style="background-color: #e8f4f8;">
 					<td colspan="2" style="border: 1px solid #ddd; padding: 8px; font-weight: bold;">Branch Staleness</td>
 				</tr>
@@ -168,18 +549,254 @@ function renderStatistics(stats) {
 				<tr>
 					<td style="border: 1px solid #ddd; padding: 8px; padding-left: 24px;">Maximum</td>
 					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatTime(stats.stalenessMax)}</td>
-				</tr>
+				</tr>${prStalenessRows}
 			</tbody>
 		</table>
 		<p style="margin-top: 10px; font-size: 12px; color: #666;">
-			<strong>Branch Staleness:</strong> Time since the last successful merge at any given second.
-			Lower values mean the branch is updated more frequently.
+			<strong>Branch Staleness:</strong> Time since the last successful merge, weighted by how long it lasted.
+			Lower values mean the branch is updated more frequently.${stats.prStalenessMedian !== undefined ? `
+			<strong>PR Base Staleness:</strong> How far the target branch had moved on from a merged PR's base
+			by the time the PR was tested.` : ''}
 		</p>
+		${renderPriorityTable(stats)}
+		${renderPartitionTable(stats.byPartition)}
+		${renderHourOfDayTable(stats.byHourOfDay)}
 	`;
 
 	container.innerHTML = html;
 }
 
+/**
+ * Builds the table of waiting times by priority class and the cost of
+ * queue jumps, when there were hotfixes
+ * @param {Object} stats - Statistics object from simulation
+ * @returns {string} HTML of the table, or nothing without hotfixes
+ */
+function renderPriorityTable(stats) {
+	if (stats.byPriority[0].merged === 0 && stats.queueJumps === 0) {
+		return '';
+	}
+
+	const names = { high: 'Hotfix', normal: 'Normal' };
+	const rows = stats.byPriority.map((priorityClass, i) => `
+				<tr${i % 2 === 1 ? ' style="background-color: #f9f9f9;"' : ''}>
+					<td style="border: 1px solid #ddd; padding: 8px;">${names[priorityClass.priority]}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${priorityClass.merged}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${priorityClass.merged > 0 ? formatTime(priorityClass.waitingTimeMedian) : '-'}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${priorityClass.merged > 0 ? formatTime(priorityClass.waitingTimeP80) : '-'}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${priorityClass.merged > 0 ? formatTime(priorityClass.waitingTimeMax) : '-'}</td>
+				</tr>`).join('');
+
+	return `
+		<h4 style="margin: 15px 0 5px;">By Priority (merged)</h4>
+		<table style="border-collapse: collapse; width: 100%; max-width: 800px;">
+			<thead>
+				<tr style="background-color: #f0f0f0;">
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Priority</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Merged</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Wait Median</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Wait P80</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Wait Max</th>
+				</tr>
+			</thead>
+			<tbody>${rows}
+			</tbody>
+		</table>
+		<p style="margin-top: 10px; font-size: 12px; color: #666;">
+			<strong>Queue Jumps:</strong> ${stats.queueJumps} hotfixes jumped the queue, restacking
+			${stats.jumpRestackedPRs} normal PRs that lost ${formatTime(stats.jumpDelay)} of progress in total.
+		</p>
+	`;
+}
+
+/**
+ * Builds the table of batches, merges, evictions and waiting times by
+ * partition, for strategies that partition the queue
+ * @param {Array} partitions - Statistics per partition ({partition,
+ *     batches, canceledBatches, merged, evicted, waitingTimeMedian,
+ *     waitingTimeP80}), if any
+ * @returns {string} HTML of the table, or nothing without partitions
+ */
+function renderPartitionTable(partitions) {
+	if (!partitions) {
+		return '';
+	}
+
+	const rows = partitions.map((partition, i) => `
+				<tr${i % 2 === 1 ? ' style="background-color: #f9f9f9;"' : ''}>
+					<td style="border: 1px solid #ddd; padding: 8px;">${escapeHTML(partition.partition)}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${partition.batches} (${partition.canceledBatches} canceled)</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${partition.merged}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${partition.evicted}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${partition.merged > 0 ? formatTime(partition.waitingTimeMedian) : '-'}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${partition.merged > 0 ? formatTime(partition.waitingTimeP80) : '-'}</td>
+				</tr>`).join('');
+
+	return `
+		<h4 style="margin: 15px 0 5px;">By Partition</h4>
+		<table style="border-collapse: collapse; width: 100%; max-width: 800px;">
+			<thead>
+				<tr style="background-color: #f0f0f0;">
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Partition</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Batches</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Merged</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Evicted</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Wait Median</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Wait P80</th>
+				</tr>
+			</thead>
+			<tbody>${rows}
+			</tbody>
+		</table>
+	`;
+}
+
+/**
+ * Builds the table of arrivals and waiting times by the hour of the day
+ * the PRs were queued in, leaving out hours without arrivals
+ * @param {Array} hours - Statistics per hour ({hour, arrivals, merged,
+ *     waitingTimeMedian, waitingTimeP80})
+ * @returns {string} HTML of the table
+ */
+function renderHourOfDayTable(hours) {
+	const rows = hours.filter(hour => hour.arrivals > 0).map((hour, i) => `
+				<tr${i % 2 === 1 ? ' style="background-color: #f9f9f9;"' : ''}>
+					<td style="border: 1px solid #ddd; padding: 8px;">${String(hour.hour).padStart(2, '0')}:00</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${hour.arrivals}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${hour.merged}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${hour.merged > 0 ? formatTime(hour.waitingTimeMedian) : '-'}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${hour.merged > 0 ? formatTime(hour.waitingTimeP80) : '-'}</td>
+				</tr>`).join('');
+
+	return `
+		<h4 style="margin: 15px 0 5px;">By Hour of Day (queued)</h4>
+		<table style="border-collapse: collapse; width: 100%; max-width: 800px;">
+			<thead>
+				<tr style="background-color: #f0f0f0;">
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Hour</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Arrivals</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Merged</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Wait Median</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Wait P80</th>
+				</tr>
+			</thead>
+			<tbody>${rows}
+			</tbody>
+		</table>
+	`;
+}
+
+/**
+ * Reads the settings shared by all strategies from the settings form
+ * @returns {Object} Simulation settings
+ */
+function readQueueSettings() {
+	return {
+		maxBatchSize: parseInt(document.getElementById('maxBatchSize').value) || 1,
+		runners: {
+			mode: document.getElementById('runnerMode').value,
+			fast: parseInt(document.getElementById('fastRunners').value) || 1,
+			full: parseInt(document.getElementById('fullRunners').value) || 1,
+			shared: parseInt(document.getElementById('sharedRunners').value) || 1
+		},
+		batching: {
+			mode: document.getElementById('batchingMode').value,
+			minSize: parseInt(document.getElementById('batchMinSize').value) || 1,
+			timeout: parseInt(document.getElementById('batchTimeout').value) || 0,
+			cadence: parseInt(document.getElementById('batchCadence').value) || 1
+		},
+		batchDuration: {
+			mode: document.getElementById('batchDurationMode').value,
+			overhead: parseInt(document.getElementById('batchOverhead').value) || 0,
+			parallelism: parseFloat(document.getElementById('batchParallelism').value) || 1,
+			setup: parseInt(document.getElementById('batchSetup').value) || 0
+		},
+		retries: parseInt(document.getElementById('retries').value) || 0,
+		speculationDepth: parseInt(document.getElementById('speculationDepth').value) || 0,
+		prStaleness: document.getElementById('prStaleness').checked,
+		costs: {
+			fast: parseFloat(document.getElementById('fastCost').value) || 0,
+			full: parseFloat(document.getElementById('fullCost').value) || 0
+		}
+	};
+}
+
+/**
+ * Reads the pull requests from the input data textarea and validates
+ * them; bad records are reported below the input data
+ * @returns {Object|null} Pull requests and seed, or null if there are
+ *     none or some are bad
+ */
+function readInputData() {
+	const inputData = JSON.parse(document.getElementById('inputData').value);
+	const pullRequests = scenarioPullRequests(inputData);
+
+	if (!pullRequests || pullRequests.length === 0) {
+		alert('Invalid or empty input data. Please generate pull requests first.');
+		return null;
+	}
+
+	const validation = validatePullRequests(pullRequests);
+	renderValidation(validation);
+	if (validation.errors.length > 0) {
+		alert(`The input data has ${validation.errors.length} errors. See the report below the input data.`);
+		return null;
+	}
+
+	return {
+		pullRequests: pullRequests,
+		// Flaky build rolls follow the scenario's seed
+		seed: inputData.generator ? inputData.generator.seed : 0
+	};
+}
+
+/**
+ * Shows the validation errors and warnings of the input data, with
+ * buttons to fix or drop the bad records
+ * @param {Object} validation - Result of validatePullRequests
+ * @param {string} note - Optional line to show above the report
+ */
+function renderValidation(validation, note = '') {
+	const container = document.getElementById('validationReport');
+	const list = (issues, color) => `
+		<ul style="margin: 0; color: ${color};">${issues.slice(0, 50).map(issue => `<li>${escapeHTML(describeIssue(issue))}</li>`).join('')}${issues.length > 50 ? `<li>... and ${issues.length - 50} more</li>` : ''}</ul>`;
+
+	const fixable = validation.errors.filter(error => error.fixable).length;
+	container.innerHTML = `${note ? `<p style="margin: 5px 0;">${note}</p>` : ''}${validation.errors.length > 0 ? `
+		<p style="margin: 5px 0; color: #cc0000;">Errors (${validation.errors.length}):</p>${list(validation.errors, '#cc0000')}
+		${fixable > 0 ? '<button type="button" id="fixInputBtn">Fix, drop the rest</button>' : ''}
+		<button type="button" id="dropInputBtn">Drop bad records</button>` : ''}${validation.warnings.length > 0 ? `
+		<p style="margin: 5px 0; color: #cc6600;">Warnings (${validation.warnings.length}):</p>${list(validation.warnings, '#cc6600')}` : ''}
+	`;
+
+	if (fixable > 0) {
+		document.getElementById('fixInputBtn').addEventListener('click', () => resolveInputErrors(true));
+	}
+	if (validation.errors.length > 0) {
+		document.getElementById('dropInputBtn').addEventListener('click', () => resolveInputErrors(false));
+	}
+}
+
+/**
+ * Fixes or drops the bad records of the input data and writes the rest
+ * back, keeping the rest of a scenario as it is
+ * @param {boolean} fix - Repair fixable values instead of dropping
+ *     their records
+ */
+function resolveInputErrors(fix) {
+	const inputData = JSON.parse(document.getElementById('inputData').value);
+	const pullRequests = scenarioPullRequests(inputData);
+	const resolved = resolveErrors(pullRequests, validatePullRequests(pullRequests), fix);
+
+	const output = Array.isArray(inputData)
+		? resolved.pullRequests
+		: { ...inputData, pullRequests: resolved.pullRequests };
+	document.getElementById('inputData').value = JSON.stringify(output, null, 2);
+
+	renderValidation(validatePullRequests(resolved.pullRequests),
+		`Fixed ${resolved.fixed} and dropped ${resolved.dropped} records.`);
+}
+
 /**
  * Handles the Simulate button click
  * Reads settings and input data, runs simulation, and updates output
@@ -188,19 +805,20 @@ function renderStatistics(stats) {
 function simulateQueue() {
 	try {
 		// Get settings
-		const maxBatchSize = parseInt(document.getElementById('maxBatchSize').value) || 1;
-		const strategy = document.getElementById('strategy').value;
+		const strategy = getStrategy(document.getElementById('strategy').value);
+		const settings = {
+			...readStrategyOptions(strategy),
+			...readQueueSettings()
+		};
 
 		// Parse input data
-		const inputData = document.getElementById('inputData').value;
-		const pullRequests = JSON.parse(inputData);
-
-		if (!Array.isArray(pullRequests) || pullRequests.length === 0) {
-			alert('Invalid or empty input data. Please generate pull requests first.');
+		const input = readInputData();
+		if (!input) {
 			return null;
 		}
+		settings.seed = input.seed;
 
-		let result = simulateSimpleStrategy(pullRequests, maxBatchSize);
+		let result = simulateStrategy(strategy.id, input.pullRequests, settings);
 
 		// Debug: Log batch details to console
 		console.log('Simulation complete. Batches:', result.batches.length);
@@ -220,11 +838,466 @@ function simulateQueue() {
 	}
 }
 
+// The last parameter sweep, kept for the CSV export
+let lastSweep = null;
+
+/**
+ * Handles the Run sweep button click
+ * Runs the selected strategy once per value of the sweep parameter and
+ * renders the charts and the table
+ */
+function sweepAndRender() {
+	try {
+		const strategy = getStrategy(document.getElementById('strategy').value);
+		const settings = {
+			...readStrategyOptions(strategy),
+			...readQueueSettings()
+		};
+
+		const input = readInputData();
+		if (!input) {
+			return;
+		}
+		settings.seed = input.seed;
+
+		const select = document.getElementById('sweepParameter');
+		const values = sweepValues(
+			parseFloat(document.getElementById('sweepFrom').value),
+			parseFloat(document.getElementById('sweepTo').value),
+			parseFloat(document.getElementById('sweepStep').value)
+		);
+
+		lastSweep = {
+			parameter: select.value,
+			label: select.options[select.selectedIndex].textContent,
+			points: runSweep(input.pullRequests, strategy.id, settings, select.value, values)
+		};
+	} catch (error) {
+		alert('Error running sweep: ' + error.message);
+		console.error('Sweep error:', error);
+		return;
+	}
+
+	renderSweep(document.getElementById('sweepCanvas'), lastSweep.label, lastSweep.points, sweepMetrics);
+	renderSweepTable(lastSweep);
+}
+
+/**
+ * Renders the sweep results in a table, one row per parameter value
+ * @param {Object} sweep - Sweep with parameter label and points
+ */
+function renderSweepTable(sweep) {
+	const container = document.getElementById('sweepContainer');
+
+	const header = sweepMetrics.map(metric => `
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">${metric.label}</th>`).join('');
+
+	const body = sweep.points.map((point, i) => {
+		const cells = sweepMetrics.map(metric => {
+			const value = point.statistics[metric.key];
+			return `
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatMetric(metric, value)}</td>`;
+		}).join('');
+		return `
+				<tr${i % 2 === 1 ? ' style="background-color: #f9f9f9;"' : ''}>
+					<td style="border: 1px solid #ddd; padding: 8px;">${point.value}</td>${cells}
+				</tr>`;
+	}).join('');
+
+	container.innerHTML = `
+		<table style="border-collapse: collapse; width: 100%; max-width: 1200px;">
+			<thead>
+				<tr style="background-color: #f0f0f0;">
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: left;">${sweep.label}</th>${header}
+				</tr>
+			</thead>
+			<tbody>${body}
+			</tbody>
+		</table>
+	`;
+}
+
+/**
+ * Handles the Export CSV button click
+ * Downloads the last sweep as a CSV file
+ */
+function exportSweep() {
+	if (!lastSweep) {
+		alert('Run a sweep first.');
+		return;
+	}
+
+	const blob = new Blob([sweepToCSV(lastSweep.parameter, lastSweep.points)], { type: 'text/csv' });
+	const link = document.createElement('a');
+	link.href = URL.createObjectURL(blob);
+	link.download = `sweep-${lastSweep.parameter}.csv`;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Handles the Run Monte Carlo button click
+ * Generates several PR sets from the Generate Input form, simulates the
+ * selected strategy on each and renders the summary
+ */
+function monteCarloAndRender() {
+	let monteCarlo;
+	try {
+		const strategy = getStrategy(document.getElementById('strategy').value);
+		const settings = {
+			...readStrategyOptions(strategy),
+			...readQueueSettings()
+		};
+		const runs = parseInt(document.getElementById('monteCarloRuns').value);
+
+		monteCarlo = runMonteCarlo(readGeneratorConfig(), runs, strategy.id, settings);
+	} catch (error) {
+		alert('Error running Monte Carlo: ' + error.message);
+		console.error('Monte Carlo error:', error);
+		return;
+	}
+
+	const p80 = monteCarlo.summary.find(row => row.metric.key === 'waitingTimeP80');
+	renderSpread(
+		document.getElementById('monteCarloCanvas'),
+		'Waiting Time (80th Percentile) per run',
+		monteCarlo.statistics.map(stats => stats.waitingTimeP80),
+		p80
+	);
+	renderMonteCarloStatistics(monteCarlo);
+}
+
+/**
+ * Renders the Monte Carlo summary in a table, one row per metric
+ * @param {Object} monteCarlo - Result of runMonteCarlo
+ */
+function renderMonteCarloStatistics(monteCarlo) {
+	const container = document.getElementById('monteCarloContainer');
+	const runs = monteCarlo.statistics.length;
+
+	// Counts are averaged, so they get a decimal
+	function formatValue(metric, value) {
+		return formatMetric(metric, value, 1);
+	}
+
+	const body = monteCarlo.summary.map((row, i) => `
+				<tr${i % 2 === 1 ? ' style="background-color: #f9f9f9;"' : ''}>
+					<td style="border: 1px solid #ddd; padding: 8px;">${row.metric.label}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right; font-weight: bold;">${formatValue(row.metric, row.mean)}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatValue(row.metric, row.low)} – ${formatValue(row.metric, row.high)}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatValue(row.metric, row.min)}</td>
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatValue(row.metric, row.max)}</td>
+				</tr>`).join('');
+
+	container.innerHTML = `
+		<table style="border-collapse: collapse; width: 100%; max-width: 1000px;">
+			<thead>
+				<tr style="background-color: #f0f0f0;">
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Metric</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Mean</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">95% Confidence Interval</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Minimum</th>
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Maximum</th>
+				</tr>
+			</thead>
+			<tbody>${body}
+			</tbody>
+		</table>
+		<p style="margin-top: 10px; font-size: 12px; color: #666;">
+			${runs} runs with seeds ${monteCarlo.baseSeed} to ${(monteCarlo.baseSeed + runs - 1) >>> 0}.
+			If the confidence intervals of two strategies overlap, their difference may be noise.
+		</p>
+	`;
+}
+
+// Configurations added to the comparison, and the last comparison run
+const comparisonConfigs = [];
+let comparisonRuns = null;
+let comparisonBaseline = 0;
+
+/**
+ * Handles the Add to comparison button click
+ * Adds the strategy, batch size and options in the settings form
+ */
+function addComparisonConfig() {
+	const strategy = getStrategy(document.getElementById('strategy').value);
+	comparisonConfigs.push({
+		strategyId: strategy.id,
+		maxBatchSize: readQueueSettings().maxBatchSize,
+		options: readStrategyOptions(strategy)
+	});
+	comparisonRuns = null;
+	renderComparisonConfigs();
+}
+
+/**
+ * Removes a configuration from the comparison
+ * @param {number} index - Index of the configuration
+ */
+function removeComparisonConfig(index) {
+	comparisonConfigs.splice(index, 1);
+	if (index < comparisonBaseline || comparisonBaseline >= comparisonConfigs.length) {
+		comparisonBaseline = Math.max(0, comparisonBaseline - 1);
+	}
+	// The shown results no longer match the configurations
+	comparisonRuns = null;
+	renderComparisonConfigs();
+}
+
+/**
+ * Lists the configurations in the comparison, with the baseline choice
+ */
+function renderComparisonConfigs() {
+	const container = document.getElementById('comparisonConfigs');
+	if (comparisonConfigs.length === 0) {
+		container.innerHTML = '<p>No configurations yet. Use "Add to comparison" in the queue settings.</p>';
+		return;
+	}
+
+	container.innerHTML = comparisonConfigs.map((config, i) => `
+		<label>
+			<input type="radio" name="comparisonBaseline" value="${i}"${i === comparisonBaseline ? ' checked' : ''} />
+			${configurationLabel(config)}
+		</label>
+		<button type="button" data-remove="${i}">Remove</button><br />
+	`).join('') + '<p style="font-size: 12px; color: #666;">The selected configuration is the baseline for the differences.</p>';
+
+	container.querySelectorAll('input[name="comparisonBaseline"]').forEach(input => {
+		input.addEventListener('change', () => {
+			comparisonBaseline = parseInt(input.value);
+			if (comparisonRuns) {
+				renderComparisonStatistics(comparisonRuns, comparisonBaseline);
+			}
+		});
+	});
+	container.querySelectorAll('button[data-remove]').forEach(button => {
+		button.addEventListener('click', () => removeComparisonConfig(parseInt(button.dataset.remove)));
+	});
+}
+
+/**
+ * Handles the Run comparison button click
+ * Runs every configuration on the input data and renders the results
+ */
+function compareAndRender() {
+	if (comparisonConfigs.length === 0) {
+		alert('Add at least one configuration to the comparison first.');
+		return;
+	}
+
+	try {
+		const input = readInputData();
+		if (!input) {
+			return;
+		}
+
+		// Runner, retry and seed settings are shared by all configurations
+		const { maxBatchSize, ...settings } = readQueueSettings();
+		settings.seed = input.seed;
+
+		comparisonRuns = runComparison(input.pullRequests, comparisonConfigs, settings);
+	} catch (error) {
+		alert('Error running comparison: ' + error.message);
+		console.error('Comparison error:', error);
+		return;
+	}
+
+	renderComparisonTimelines(comparisonRuns);
+	renderComparisonStatistics(comparisonRuns, comparisonBaseline);
+}
+
+/**
+ * Renders the timeline of each comparison run, stacked
+ * @param {Array} runs - Comparison runs ({label, result})
+ */
+function renderComparisonTimelines(runs) {
+	const container = document.getElementById('comparisonTimelines');
+	container.innerHTML = '';
+
+	for (const run of runs) {
+		const heading = document.createElement('h3');
+		heading.textContent = run.label;
+
+		const frame = document.createElement('div');
+		frame.style.cssText = 'overflow: auto; max-height: 400px; max-width: 1200px; border: 1px solid #ccc;';
+		const canvas = document.createElement('canvas');
+		frame.appendChild(canvas);
+
+		container.appendChild(heading);
+		container.appendChild(frame);
+		renderQueue(canvas, run.result.batches, collectTimeSeries(run.result));
+	}
+}
+
+/**
+ * Renders the statistics of all comparison runs in one table, with a
+ * column per run, the best values highlighted and the differences to
+ * the baseline run
+ * @param {Array} runs - Comparison runs ({label, result})
+ * @param {number} baselineIndex - Index of the baseline run
+ */
+function renderComparisonStatistics(runs, baselineIndex) {
+	const container = document.getElementById('comparisonContainer');
+	const rows = compareStatistics(runs.map(run => run.result.statistics), baselineIndex);
+
+	// Format a signed difference of a metric
+	function formatDelta(metric, delta, baseline) {
+		if (delta === 0) {
+			return '±0';
+		}
+		const sign = delta > 0 ? '+' : '−';
+		const percent = baseline !== 0 ? `, ${sign}${Math.abs(delta / baseline * 100).toFixed(0)}%` : '';
+		return `${sign}${formatMetric(metric, Math.abs(delta))}${percent}`;
+	}
+
+	const header = runs.map((run, i) => `
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: right;">${run.label}${i === baselineIndex ? ' (baseline)' : ''}</th>`).join('');
+
+	const body = rows.map((row, r) => {
+		const cells = row.values.map((value, i) => {
+			const style = row.best[i] ? ' font-weight: bold; background-color: #e0f5e0;' : '';
+			const delta = row.deltas[i] === null ? '' : `
+						<br /><span style="font-size: 11px; color: #666;">${formatDelta(row.metric, row.deltas[i], row.values[baselineIndex])}</span>`;
+			return `
+					<td style="border: 1px solid #ddd; padding: 8px; text-align: right;${style}">${formatMetric(row.metric, value)}${delta}</td>`;
+		}).join('');
+		return `
+				<tr${r % 2 === 1 ? ' style="background-color: #f9f9f9;"' : ''}>
+					<td style="border: 1px solid #ddd; padding: 8px;">${row.metric.label}</td>${cells}
+				</tr>`;
+	}).join('');
+
+	container.innerHTML = `
+		<table style="border-collapse: collapse; width: 100%; max-width: 1200px;">
+			<thead>
+				<tr style="background-color: #f0f0f0;">
+					<th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Metric</th>${header}
+				</tr>
+			</thead>
+			<tbody>${body}
+			</tbody>
+		</table>
+		<p style="margin-top: 10px; font-size: 12px; color: #666;">
+			The best value of each metric is highlighted. Differences are relative to the baseline.
+		</p>
+	`;
+}
+
+// The records of the export being imported
+let importRecords = null;
+
+/**
+ * Reads the chosen export file into the import text area
+ */
+function handleImportFile() {
+	const file = document.getElementById('importFile').files[0];
+	if (!file) return;
+	file.text().then(text => {
+		document.getElementById('importData').value = text;
+		readImportColumns();
+	}).catch(error => {
+		alert('Error reading file: ' + error.message);
+	});
+}
+
+/**
+ * Parses the export and shows one column dropdown per pull request
+ * field, preselected from the column names
+ */
+function readImportColumns() {
+	let parsed;
+	try {
+		parsed = parseRecords(document.getElementById('importData').value);
+	} catch (error) {
+		alert('Error reading export: ' + error.message);
+		return;
+	}
+	importRecords = parsed.records;
+
+	const mapping = guessMapping(parsed.columns);
+	const options = column => `<option value="${escapeHTML(column)}">${escapeHTML(column)}</option>`;
+	document.getElementById('importMapping').innerHTML = `
+		<p style="margin: 5px 0;">${parsed.records.length} records. Map the columns:</p>
+		${importFields.map(field => `
+		<label for="importMap-${field.id}">${field.label}${field.required ? ' *' : ''}:</label>
+		<select id="importMap-${field.id}">
+			<option value="">(none)</option>
+			${parsed.columns.map(options).join('')}
+		</select><br />`).join('')}
+	`;
+	for (const field of importFields) {
+		document.getElementById(`importMap-${field.id}`).value = mapping[field.id] || '';
+	}
+	document.getElementById('importBtn').disabled = false;
+	document.getElementById('importReport').innerHTML = '';
+}
+
+/**
+ * Converts the export with the chosen column mapping, puts the pull
+ * requests into the input data and reports the records left out
+ */
+function importAndRender() {
+	const mapping = {};
+	for (const field of importFields) {
+		const column = document.getElementById(`importMap-${field.id}`).value;
+		if (column) mapping[field.id] = column;
+	}
+
+	let imported;
+	try {
+		imported = importScenario(importRecords, mapping);
+	} catch (error) {
+		alert('Error importing: ' + error.message);
+		return;
+	}
+	const { scenario, skipped } = imported;
+	document.getElementById('inputData').value = JSON.stringify(scenario, null, 2);
+
+	// Long reports only list the first rows
+	const shown = skipped.slice(0, 50).map(row =>
+		`<li>Row ${row.row}${row.id === undefined ? '' : ` (${escapeHTML(row.id)})`}: ${escapeHTML(row.reason)}</li>`).join('');
+	document.getElementById('importReport').innerHTML = `
+		<p style="margin: 5px 0;">Imported ${scenario.pullRequests.length} of ${scenario.imported.records} records${scenario.imported.start ? `, starting ${scenario.imported.start}` : ''}.</p>
+		${skipped.length > 0 ? `
+		<p style="margin: 5px 0; color: #cc6600;">Records that could not be used (${skipped.length}):</p>
+		<ul style="margin: 0;">${shown}${skipped.length > 50 ? `<li>... and ${skipped.length - 50} more</li>` : ''}</ul>` : ''}
+	`;
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - Text from imported data
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+	return String(text).replace(/[&<>"']/g, char =>
+		({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
 // Initialize UI when DOM is loaded
 document.addEventListener('DOMContentLoaded', function () {
 	// Set up event listeners
 	document.getElementById('generateBtn').addEventListener('click', handleGenerate);
 	document.getElementById('simulateBtn').addEventListener('click', simulateAndRender);
+	document.getElementById('strategy').addEventListener('change', renderStrategyOptions);
+	document.getElementById('addComparisonBtn').addEventListener('click', addComparisonConfig);
+	document.getElementById('compareBtn').addEventListener('click', compareAndRender);
+	document.getElementById('sweepBtn').addEventListener('click', sweepAndRender);
+	document.getElementById('exportSweepBtn').addEventListener('click', exportSweep);
+	document.getElementById('monteCarloBtn').addEventListener('click', monteCarloAndRender);
+	document.getElementById('arrivalProfile').addEventListener('change', applyArrivalPreset);
+	document.getElementById('importFile').addEventListener('change', handleImportFile);
+	document.getElementById('importReadBtn').addEventListener('click', readImportColumns);
+	document.getElementById('importBtn').addEventListener('click', importAndRender);
+	for (const type of ['Fast', 'Full']) {
+		document.getElementById(`buildTimeDistribution${type}`)
+			.addEventListener('change', () => renderBuildTimeParameters(type));
+	}
+
+	populateStrategies();
+	populateArrivalProfiles();
+	populateBuildTimeDistributions();
+	renderComparisonConfigs();
 
 	// Make copyToClipboard available globally for inline onclick handlers
 	window.copyToClipboard = copyToClipboard;
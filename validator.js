@@ -0,0 +1,226 @@
+/**
+ * Validator for the pull request input format
+ * Checks every record before a simulation, since a missing field or a
+ * string where a number belongs silently produces nonsense batches.
+ * Errors name the record index, the field and the reason; errors that
+ * have an obvious repair (a number written as a string, a zero build
+ * time) carry the repaired value. Warnings flag data that is valid but
+ * suspicious, such as outcomes the generator never produces.
+ */
+
+// Helpers: Read a value that may have been written as a string
+function toNumber(value) {
+	if (typeof value === 'number') return value;
+	if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+	return undefined;
+}
+function toBoolean(value) {
+	if (typeof value === 'boolean') return value;
+	if (value === 'true' || value === 1 || value === '1') return true;
+	if (value === 'false' || value === 0 || value === '0') return false;
+	return undefined;
+}
+
+function booleanCheck(value) {
+	const boolean = toBoolean(value);
+	if (boolean === undefined) return { reason: 'must be true or false' };
+	return typeof value === 'boolean' ? null : { reason: `is ${JSON.stringify(value)}, not a boolean`, fix: boolean };
+}
+
+function durationCheck(value) {
+	const number = toNumber(value);
+	if (number === undefined || !isFinite(number)) return { reason: 'must be a number of seconds' };
+	if (number < 0) return { reason: 'must not be negative' };
+	// The generator never produces builds shorter than one second
+	if (number === 0) return { reason: 'must be at least 1 second', fix: 1 };
+	return typeof value === 'number' ? null : { reason: 'is a string, not a number', fix: number };
+}
+
+function rateCheck(value) {
+	const number = toNumber(value);
+	if (number === undefined || !isFinite(number)) return { reason: 'must be a percentage (0-100)' };
+	if (number < 0 || number > 100) {
+		return { reason: 'must be between 0 and 100', fix: Math.min(100, Math.max(0, number)) };
+	}
+	return typeof value === 'number' ? null : { reason: 'is a string, not a number', fix: number };
+}
+
+function conflictsCheck(value, index, count) {
+	if (!Array.isArray(value)) return { reason: 'must be a list of record indexes' };
+	for (const other of value) {
+		if (!Number.isInteger(other) || other < 0 || other >= count) return { reason: `refers to ${JSON.stringify(other)}, which is not a record` };
+		if (other === index) return { reason: 'refers to the record itself' };
+	}
+	return null;
+}
+
+function priorityCheck(value) {
+	if (value === 'high' || value === 'normal') return null;
+	const word = typeof value === 'string' ? value.trim().toLowerCase() : undefined;
+	if (word === 'high' || word === 'normal') return { reason: `is ${JSON.stringify(value)}, not "${word}"`, fix: word };
+	return { reason: 'must be "high" or "normal"' };
+}
+
+function pathsCheck(value) {
+	if (!Array.isArray(value)) return { reason: 'must be a list of file paths' };
+	if (value.some(path => typeof path !== 'string' || path === '')) return { reason: 'must only hold file paths' };
+	return null;
+}
+
+function componentsCheck(value) {
+	if (typeof value === 'string' && value.trim() !== '') return { reason: 'is a string, not a list', fix: [value.trim()] };
+	if (!Array.isArray(value)) return { reason: 'must be a list of component names' };
+	if (value.some(component => typeof component !== 'string' || component === '')) return { reason: 'must only hold component names' };
+	return null;
+}
+
+/**
+ * The fields of a pull request. Each check gets the value, the record
+ * index and the number of records, and returns null for a good value, or
+ * the reason it is bad and, when there is one, the repaired value
+ * ({reason, fix}).
+ */
+const fields = [
+	{ id: 'queuetime', required: true, check: value => {
+		const number = toNumber(value);
+		if (number === undefined || !isFinite(number)) return { reason: 'must be a number of seconds' };
+		if (number < 0) return { reason: 'must not be negative' };
+		return typeof value === 'number' ? null : { reason: 'is a string, not a number', fix: number };
+	} },
+	{ id: 'FastBuildPasses', required: true, check: booleanCheck },
+	{ id: 'FullBuildPasses', required: true, check: booleanCheck },
+	{ id: 'FastBuildTime', required: true, check: durationCheck },
+	{ id: 'FullBuildTime', required: true, check: durationCheck },
+	{ id: 'FastBuildFlakeRate', required: false, check: rateCheck },
+	{ id: 'FullBuildFlakeRate', required: false, check: rateCheck },
+	{ id: 'ConflictsWith', required: false, check: conflictsCheck },
+	{ id: 'TouchedPaths', required: false, check: pathsCheck },
+	{ id: 'Priority', required: false, check: priorityCheck },
+	{ id: 'Components', required: false, check: componentsCheck }
+];
+
+// Build times beyond this are more likely a unit mix-up than a real build
+const SUSPICIOUS_BUILD_TIME = 24 * 3600;
+
+/**
+ * Validates pull request records
+ * @param {Array} pullRequests - Pull request records
+ * @returns {Object} The errors ({index, field, reason, fixable, fix}) and
+ *     warnings ({index, field, reason}) in record order ({errors,
+ *     warnings}). An error without a fix can only be resolved by
+ *     dropping the record.
+ */
+export function validatePullRequests(pullRequests) {
+	const errors = [];
+	const warnings = [];
+
+	if (!Array.isArray(pullRequests)) {
+		errors.push({ index: null, field: null, reason: 'The input is not a list of pull requests', fixable: false });
+		return { errors: errors, warnings: warnings };
+	}
+
+	pullRequests.forEach((pr, index) => {
+		if (pr === null || typeof pr !== 'object' || Array.isArray(pr)) {
+			errors.push({ index: index, field: null, reason: 'is not an object', fixable: false });
+			return;
+		}
+
+		for (const field of fields) {
+			if (pr[field.id] === undefined || pr[field.id] === null) {
+				if (field.required) {
+					errors.push({ index: index, field: field.id, reason: 'is missing', fixable: false });
+				}
+				continue;
+			}
+			const problem = field.check(pr[field.id], index, pullRequests.length);
+			if (problem) {
+				errors.push({
+					index: index,
+					field: field.id,
+					reason: problem.reason,
+					fixable: problem.fix !== undefined,
+					fix: problem.fix
+				});
+			}
+		}
+
+		// Valid but suspicious
+		if (toBoolean(pr.FullBuildPasses) === true && toBoolean(pr.FastBuildPasses) === false) {
+			warnings.push({ index: index, field: 'FullBuildPasses', reason: 'passes although the fast build fails' });
+		}
+		for (const field of ['FastBuildTime', 'FullBuildTime']) {
+			if (toNumber(pr[field]) > SUSPICIOUS_BUILD_TIME) {
+				warnings.push({ index: index, field: field, reason: 'is longer than a day; are the times in seconds?' });
+			}
+		}
+		for (const field of ['FastBuildFlakeRate', 'FullBuildFlakeRate']) {
+			if (toNumber(pr[field]) === 100) {
+				warnings.push({ index: index, field: field, reason: 'is 100%, so every build attempt fails' });
+			}
+		}
+	});
+
+	return { errors: errors, warnings: warnings };
+}
+
+/**
+ * Resolves the errors of a validation: repairs the values that can be
+ * repaired if asked to, and drops every record that still has an error.
+ * Conflicts ("ConflictsWith") are renumbered to the remaining records,
+ * and conflicts with dropped records are left out.
+ * @param {Array} pullRequests - Pull request records
+ * @param {Object} validation - Result of validatePullRequests
+ * @param {boolean} fix - Repair fixable values instead of dropping their
+ *     records
+ * @returns {Object} The remaining records, with repaired copies where
+ *     values were fixed, and how many were fixed and dropped
+ *     ({pullRequests, fixed, dropped})
+ */
+export function resolveErrors(pullRequests, validation, fix) {
+	const errorsByIndex = new Map();
+	for (const error of validation.errors) {
+		if (!errorsByIndex.has(error.index)) errorsByIndex.set(error.index, []);
+		errorsByIndex.get(error.index).push(error);
+	}
+
+	const kept = [];
+	const newIndex = new Map(); // old index -> index in kept
+	let fixed = 0;
+	pullRequests.forEach((pr, index) => {
+		const errors = errorsByIndex.get(index);
+		if (!errors) {
+			newIndex.set(index, kept.length);
+			kept.push(pr);
+		} else if (fix && errors.every(error => error.fixable)) {
+			const repaired = { ...pr };
+			for (const error of errors) {
+				repaired[error.field] = error.fix;
+			}
+			newIndex.set(index, kept.length);
+			kept.push(repaired);
+			fixed++;
+		}
+	});
+
+	if (kept.length < pullRequests.length) {
+		kept.forEach((pr, index) => {
+			if (!Array.isArray(pr.ConflictsWith)) return;
+			const conflicts = pr.ConflictsWith.filter(other => newIndex.has(other)).map(other => newIndex.get(other));
+			kept[index] = { ...pr, ConflictsWith: conflicts };
+		});
+	}
+
+	return { pullRequests: kept, fixed: fixed, dropped: pullRequests.length - kept.length };
+}
+
+/**
+ * Formats a validation error or warning for display
+ * @param {Object} issue - Error or warning from validatePullRequests
+ * @returns {string} E.g. 'Record 3: FullBuildTime is missing'
+ */
+export function describeIssue(issue) {
+	if (issue.index === null) {
+		return issue.reason;
+	}
+	return `Record ${issue.index}: ${issue.field === null ? 'the record' : issue.field} ${issue.reason}`;
+}